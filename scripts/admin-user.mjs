@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+import path from 'path';
+import readline from 'readline/promises';
+import { fileURLToPath } from 'url';
+import { ROLES, hashPassword, readUsers, writeUsers } from '../server/auth.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const repoRoot = path.resolve(path.dirname(__filename), '..');
+const usersFile = process.env.ADMIN_USERS_FILE
+  ? path.resolve(process.env.ADMIN_USERS_FILE)
+  : path.join(repoRoot, 'admin-users.json');
+
+function usage() {
+  console.log('Usage:');
+  console.log('  npm run admin-user -- add <username> <admin|host>');
+  console.log('  npm run admin-user -- remove <username>');
+  console.log('  npm run admin-user -- list');
+  console.log('Set ADMIN_USER_PASSWORD to skip the password prompt.');
+}
+
+async function promptPassword() {
+  if (process.env.ADMIN_USER_PASSWORD) {
+    return process.env.ADMIN_USER_PASSWORD;
+  }
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await prompt.question('Password: ');
+  } finally {
+    prompt.close();
+  }
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+  const users = await readUsers(usersFile);
+
+  if (command === 'list') {
+    for (const user of users) {
+      console.log(`${user.username} (${user.role})`);
+    }
+    return 0;
+  }
+
+  if (command === 'add' && username && ROLES.includes(role)) {
+    const password = await promptPassword();
+    if (String(password).length < 8) {
+      console.error('Password must be at least 8 characters.');
+      return 1;
+    }
+    // A new sessionVersion signs out the user's existing sessions.
+    const previous = users.find((user) => user.username === username);
+    const nextUser = {
+      username,
+      role,
+      passwordHash: await hashPassword(password),
+      sessionVersion: (previous?.sessionVersion || 0) + 1
+    };
+    const nextUsers = users.filter((user) => user.username !== username);
+    nextUsers.push(nextUser);
+    await writeUsers(usersFile, nextUsers);
+    console.log(`Saved ${username} (${role}) to ${path.relative(repoRoot, usersFile)}`);
+    return 0;
+  }
+
+  if (command === 'remove' && username) {
+    const nextUsers = users.filter((user) => user.username !== username);
+    if (nextUsers.length === users.length) {
+      console.error(`No user named ${username}`);
+      return 1;
+    }
+    await writeUsers(usersFile, nextUsers);
+    console.log(`Removed ${username}`);
+    return 0;
+  }
+
+  usage();
+  return 1;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+import { estimateKey } from '../server/musical-key.mjs';
+import { runStationBackfill } from '../server/station-backfill.mjs';
+
+process.exitCode = await runStationBackfill({
+  heading: 'Updating station keys:',
+  action: 'backfill-key',
+  busy: 'detecting',
+  unavailable: 'key unavailable',
+  empty: 'no tonal content to detect a key from',
+  existing: (station) => (station.key !== undefined ? `already ${station.key} (use --force to re-detect)` : null),
+  analyse: estimateKey,
+  apply: (station, result) => {
+    station.key = result.key;
+  },
+  describe: (result) => `${result.key} (${result.name}, confidence ${result.confidence})`
+});
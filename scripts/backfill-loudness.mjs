@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+import { measureLoudness } from '../server/loudness.mjs';
+import { runStationBackfill } from '../server/station-backfill.mjs';
+
+process.exitCode = await runStationBackfill({
+  heading: 'Updating station loudness:',
+  action: 'backfill-loudness',
+  busy: 'measuring',
+  unavailable: 'loudness unavailable',
+  empty: 'nothing to measure',
+  existing: (station) => (station.gainDb !== undefined ? `already ${station.gainDb} dB (use --force to re-measure)` : null),
+  analyse: measureLoudness,
+  apply: (station, result) => {
+    station.loudness = result.loudness;
+    station.gainDb = result.gainDb;
+  },
+  describe: (result) => `${result.loudness.integratedLufs} LUFS, gain ${result.gainDb} dB`
+});
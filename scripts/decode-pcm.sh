@@ -0,0 +1,22 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+if [ "$#" -lt 1 ]; then
+  echo "Usage: $0 <input-audio> [sample-rate]" >&2
+  exit 1
+fi
+
+INPUT_PATH="$1"
+SAMPLE_RATE="${2:-8000}"
+
+if ! command -v ffmpeg >/dev/null 2>&1; then
+  echo "ffmpeg is required but was not found in PATH." >&2
+  exit 1
+fi
+
+# Mono signed 16-bit little-endian PCM on stdout.
+ffmpeg -hide_banner -nostats -v error -i "$INPUT_PATH" \
+  -vn \
+  -ac 1 \
+  -ar "$SAMPLE_RATE" \
+  -f s16le -
@@ -0,0 +1,43 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+if [ "$#" -lt 4 ]; then
+  echo "Usage: $0 <input-audio> <output-file> <aac|mp3|opus> <bitrate-kbps>"
+  exit 1
+fi
+
+INPUT_PATH="$1"
+OUTPUT_PATH="$2"
+CODEC="$3"
+BITRATE="$4"
+OUTPUT_DIR="$(dirname "$OUTPUT_PATH")"
+
+if ! command -v ffmpeg >/dev/null 2>&1; then
+  echo "ffmpeg is required but was not found in PATH."
+  exit 1
+fi
+
+case "$CODEC" in
+  aac)
+    CODEC_ARGS=(-ar 48000 -codec:a aac -movflags +faststart)
+    ;;
+  mp3)
+    CODEC_ARGS=(-ar 44100 -codec:a libmp3lame)
+    ;;
+  opus)
+    CODEC_ARGS=(-ar 48000 -codec:a libopus -f webm)
+    ;;
+  *)
+    echo "Unsupported codec: $CODEC"
+    exit 1
+    ;;
+esac
+
+mkdir -p "$OUTPUT_DIR"
+
+ffmpeg -y -i "$INPUT_PATH" \
+  -vn \
+  -ac 2 \
+  "${CODEC_ARGS[@]}" \
+  -b:a "${BITRATE}k" \
+  "$OUTPUT_PATH"
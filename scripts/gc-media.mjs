@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createManifestHistory } from '../server/manifest-history.mjs';
+import { createManifestStore } from '../server/manifest-store.mjs';
+import { findOrphanedMedia, removeMediaUrls } from '../server/media-gc.mjs';
+import { manifestValidationErrors, migrateManifest } from '../src/stationSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const repoRoot = path.resolve(path.dirname(__filename), '..');
+const publicDir = path.join(repoRoot, 'public');
+const manifestPath = path.join(publicDir, 'media', 'stations.json');
+const historyDir = path.join(repoRoot, 'media-originals', 'manifest-history');
+const draftsPath = path.join(repoRoot, 'media-originals', 'drafts.json');
+const draftHistoryDir = path.join(repoRoot, 'media-originals', 'drafts-history');
+const DEFAULT_GRACE_MINUTES = 60;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const graceArg = args.find((arg) => arg.startsWith('--grace-minutes='));
+  const graceMinutes = graceArg ? Number.parseFloat(graceArg.split('=')[1]) : DEFAULT_GRACE_MINUTES;
+  if (!Number.isFinite(graceMinutes) || graceMinutes < 0) {
+    console.error('--grace-minutes must be a non-negative number.');
+    return 1;
+  }
+
+  const store = createManifestStore({
+    manifestPath,
+    migrate: migrateManifest,
+    validate: manifestValidationErrors
+  });
+  const { manifest } = await store.read();
+  const { manifest: drafts } = await createManifestStore({
+    manifestPath: draftsPath,
+    migrate: migrateManifest,
+    initial: { stations: [] }
+  }).read();
+  // Retained revisions keep their media so they can still be restored.
+  const retainedStations = [
+    ...(await createManifestHistory({ historyDir }).retainedStations()),
+    ...(await createManifestHistory({ historyDir: draftHistoryDir }).retainedStations())
+  ];
+  const orphaned = await findOrphanedMedia({
+    publicDir,
+    stations: [...manifest.stations, ...drafts.stations, ...retainedStations],
+    olderThanMs: graceMinutes * 60 * 1000
+  });
+
+  if (orphaned.length === 0) {
+    console.log('No unreferenced media.');
+    return 0;
+  }
+
+  console.log(`${dryRun ? 'Would remove' : 'Removing'} ${orphaned.length} unreferenced item(s):`);
+  for (const url of orphaned) {
+    console.log(`- ${url}`);
+  }
+  if (!dryRun) {
+    await removeMediaUrls(publicDir, orphaned);
+  }
+  return 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+import path from 'path';
+import { formatFrequency } from '../src/stationSchema.js';
+
+const JOB_POLL_MS = 2000;
+const DEFAULT_API_URL = `http://localhost:${process.env.ADMIN_API_PORT || '8787'}`;
+
+function usage() {
+  console.error('Usage: npm run import-stations -- <directory> [--sidecar=<file>] [--dry-run] [--no-wait]');
+  console.error('Needs ADMIN_API_TOKEN and a running admin API (ADMIN_API_URL, default http://localhost:8787).');
+}
+
+async function api(method, pathname, body) {
+  const response = await fetch(new URL(pathname, process.env.ADMIN_API_URL || DEFAULT_API_URL), {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || `${method} ${pathname} failed (${response.status})`);
+  }
+  return data;
+}
+
+function printReport(report) {
+  console.log(`${report.dryRun ? 'Dry run of' : 'Importing'} ${report.sidecar} in ${report.directory}:`);
+  for (const row of report.rows) {
+    const label = `row ${row.row} ${row.id || '(no id)'}`;
+    if (row.errors.length > 0) {
+      console.log(`- ${label}: ${row.errors.join(' ')}`);
+      if (row.suggestions?.length > 0) {
+        console.log(`    free nearby: ${row.suggestions.map((frequency) => formatFrequency(frequency)).join(', ')} MHz`);
+      }
+      continue;
+    }
+    const action = report.dryRun ? `would ${row.action}` : `queued ${row.jobId}`;
+    console.log(`- ${label}: ${action} at ${formatFrequency(row.frequency)} MHz`);
+    for (const warning of row.warnings) {
+      console.log(`    warning: ${warning}`);
+    }
+  }
+  const { rows, ready, invalid } = report.summary;
+  console.log(`${ready} of ${rows} row(s) ${report.dryRun ? 'ready' : 'queued'}, ${invalid} with errors.`);
+}
+
+async function followJobs(rows) {
+  const pending = new Map(rows.filter((row) => row.jobId).map((row) => [row.jobId, row]));
+  let failures = 0;
+  while (pending.size > 0) {
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+    for (const [jobId, row] of pending) {
+      const { job } = await api('GET', `/api/jobs/${encodeURIComponent(jobId)}`);
+      if (job.status === 'succeeded') {
+        const preview = job.result?.preview;
+        console.log(`- ${row.id}: done${preview ? ` (draft, preview at ${preview.url})` : ''}`);
+      } else if (job.status === 'failed') {
+        console.log(`- ${row.id}: failed (${job.error})`);
+        failures += 1;
+      } else {
+        continue;
+      }
+      pending.delete(jobId);
+    }
+  }
+  return failures;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const directory = args.find((arg) => !arg.startsWith('--'));
+  const sidecarArg = args.find((arg) => arg.startsWith('--sidecar='));
+  const dryRun = args.includes('--dry-run');
+  if (!directory || !process.env.ADMIN_API_TOKEN) {
+    usage();
+    return 1;
+  }
+
+  // The API reads the folder itself, so it must be visible to the API process.
+  const report = await api('POST', '/api/import', {
+    directory: path.resolve(directory),
+    sidecar: sidecarArg ? sidecarArg.split('=').slice(1).join('=') : undefined,
+    dryRun
+  });
+  printReport(report);
+
+  if (dryRun || args.includes('--no-wait') || report.summary.queued === 0) {
+    return report.summary.invalid > 0 ? 1 : 0;
+  }
+  console.log('Waiting for ingest jobs:');
+  const failures = await followJobs(report.rows);
+  return report.summary.invalid > 0 || failures > 0 ? 1 : 0;
+}
+
+process.exitCode = await main().catch((error) => {
+  console.error(error.message);
+  return 1;
+});
@@ -0,0 +1,20 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+if [ "$#" -lt 1 ]; then
+  echo "Usage: $0 <input-audio>"
+  exit 1
+fi
+
+INPUT_PATH="$1"
+
+if ! command -v ffmpeg >/dev/null 2>&1; then
+  echo "ffmpeg is required but was not found in PATH." >&2
+  exit 1
+fi
+
+# loudnorm's first pass prints an EBU R128 measurement as a JSON block on stderr.
+ffmpeg -hide_banner -nostats -i "$INPUT_PATH" \
+  -vn \
+  -af loudnorm=print_format=json \
+  -f null - 2>&1 | sed -n '/^{/,/^}/p'
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createManifestHistory } from '../server/manifest-history.mjs';
+import { createManifestStore } from '../server/manifest-store.mjs';
+import {
+  MANIFEST_SCHEMA_VERSION,
+  manifestSchemaVersion,
+  manifestValidationErrors,
+  migrateManifest
+} from '../src/stationSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const repoRoot = path.resolve(path.dirname(__filename), '..');
+const manifestPath = path.join(repoRoot, 'public', 'media', 'stations.json');
+const historyDir = path.join(repoRoot, 'media-originals', 'manifest-history');
+
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+  const raw = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  const fromVersion = manifestSchemaVersion(raw);
+  const migrated = migrateManifest(raw);
+  const errors = manifestValidationErrors(migrated);
+
+  console.log(`Manifest schemaVersion ${fromVersion} -> ${MANIFEST_SCHEMA_VERSION} (${migrated.stations.length} stations)`);
+  for (const error of errors) {
+    console.error(`- ${error}`);
+  }
+  if (errors.length > 0) {
+    console.error(`\n${errors.length} validation error(s); manifest not written.`);
+    return 1;
+  }
+
+  if (checkOnly) {
+    console.log(fromVersion === MANIFEST_SCHEMA_VERSION ? 'Manifest is valid.' : 'Manifest is valid after migration; run without --check to write it.');
+    return 0;
+  }
+
+  const store = createManifestStore({
+    manifestPath,
+    migrate: migrateManifest,
+    validate: manifestValidationErrors,
+    history: createManifestHistory({ historyDir })
+  });
+  const { revision } = await store.update((manifest) => manifest, { actor: 'script', action: 'migrate-manifest' });
+  console.log(`Written: ${manifestPath} (revision ${revision})`);
+  return 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,30 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+if [ "$#" -lt 2 ]; then
+  echo "Usage: $0 <input-audio> <output-dir> [segment-seconds]"
+  exit 1
+fi
+
+INPUT_PATH="$1"
+OUTPUT_DIR="$2"
+SEGMENT_SECONDS="${3:-6}"
+
+if ! command -v ffmpeg >/dev/null 2>&1; then
+  echo "ffmpeg is required but was not found in PATH."
+  exit 1
+fi
+
+mkdir -p "$OUTPUT_DIR"
+
+ffmpeg -y -i "$INPUT_PATH" \
+  -vn \
+  -ar 48000 \
+  -ac 2 \
+  -codec:a aac \
+  -b:a 128k \
+  -f hls \
+  -hls_time "$SEGMENT_SECONDS" \
+  -hls_playlist_type vod \
+  -hls_segment_filename "$OUTPUT_DIR/segment-%05d.ts" \
+  "$OUTPUT_DIR/index.m3u8"
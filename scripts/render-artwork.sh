@@ -0,0 +1,33 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+if [ "$#" -lt 3 ]; then
+  echo "Usage: $0 <input-image> <output-dir> <name:size> [name:size...]"
+  exit 1
+fi
+
+INPUT_PATH="$1"
+OUTPUT_DIR="$2"
+shift 2
+
+if ! command -v ffmpeg >/dev/null 2>&1; then
+  echo "ffmpeg is required but was not found in PATH."
+  exit 1
+fi
+
+mkdir -p "$OUTPUT_DIR"
+
+for VARIANT in "$@"; do
+  NAME="${VARIANT%%:*}"
+  SIZE="${VARIANT##*:}"
+  # Centre-crop to a square, then shrink (never enlarge) to SIZE px.
+  FILTER="crop='min(iw,ih)':'min(iw,ih)',scale='min(iw,${SIZE})':'min(ih,${SIZE})':flags=lanczos"
+
+  ffmpeg -y -i "$INPUT_PATH" -frames:v 1 -vf "$FILTER" \
+    -codec:v libwebp -quality 80 \
+    "$OUTPUT_DIR/$NAME.webp"
+
+  ffmpeg -y -i "$INPUT_PATH" -frames:v 1 -vf "$FILTER,format=yuvj420p" \
+    -q:v 3 \
+    "$OUTPUT_DIR/$NAME.jpg"
+done
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
@@ -5,6 +6,58 @@ import os from 'os';
 import { spawn } from 'child_process';
 import multer from 'multer';
 import { fileURLToPath } from 'url';
+import { canEditStation, createAuth, readUsers } from './auth.mjs';
+import { readImportSidecar, resolveImportMedia } from './batch-import.mjs';
+import { hashFile, moveFile, writeFileAtomic } from './fs-utils.mjs';
+import { createIngestQueue, publicJob } from './ingest-jobs.mjs';
+import { createListenerEvents } from './listener-events.mjs';
+import {
+  LISTENER_SAMPLE_MS,
+  LISTENER_STATS_MAX_BUCKETS,
+  createListenerStats,
+  defaultBucketMs,
+  parseStatsDuration
+} from './listener-stats.mjs';
+import { measureLoudness } from './loudness.mjs';
+import { createManifestEvents } from './manifest-events.mjs';
+import { createManifestHistory } from './manifest-history.mjs';
+import { createManifestStore } from './manifest-store.mjs';
+import { mediaKey, referencedMediaUrls, removeMediaUrls, stationMediaUrls } from './media-gc.mjs';
+import { createKeyAnalyser } from './musical-key.mjs';
+import { analysePcm } from './pcm.mjs';
+import { createStreamLimiter } from './sse.mjs';
+import { createTempoAnalyser, estimateTempo } from './tempo.mjs';
+import { UPLOAD_CHUNK_BYTES, createUploadStore, publicUpload } from './upload-sessions.mjs';
+import { createPeaksAnalyser } from './waveform.mjs';
+import { pictureExtension, readAudioTags } from '../src/audioTags.js';
+import { ARTWORK_VARIANTS, artworkVariantUrls } from '../src/stationArtwork.js';
+import { normalizeStationTags } from '../src/stationTags.js';
+import { parseTracklist, tracklistValidationErrors } from '../src/tracklist.js';
+import {
+  AUDIO_LADDER,
+  HLS_SEGMENT_SECONDS,
+  PRIMARY_RENDITION,
+  hlsPlaylistUrl,
+  parseHlsPlaylist,
+  renditionUrl
+} from '../src/audioRenditions.js';
+import {
+  FM_MAX,
+  FM_MIN,
+  formatFrequency,
+  frequencyNeighbours,
+  frequencyTickIndex,
+  isStationDraft,
+  isStationOnAir,
+  manifestValidationErrors,
+  migrateManifest,
+  parseFrequency,
+  parseLocation,
+  parseScheduleTime,
+  sortStationsByFrequency,
+  stationValidationErrors,
+  suggestFrequencies
+} from '../src/stationSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,38 +65,126 @@ const repoRoot = path.resolve(__dirname, '..');
 
 const manifestPath = path.join(repoRoot, 'public', 'media', 'stations.json');
 const artworkDir = path.join(repoRoot, 'public', 'media', 'artwork');
-const outputAudioDir = path.join(repoRoot, 'public', 'media', 'audio', '128k');
 const originalsDir = path.join(repoRoot, 'media-originals', 'original');
-const convertScript = path.join(repoRoot, 'scripts', 'convert-to-128k.sh');
+const archiveDir = path.join(repoRoot, 'media-originals', 'archive');
+const jobsDir = path.join(repoRoot, 'media-originals', 'jobs');
+const uploadsDir = path.join(repoRoot, 'media-originals', 'uploads');
+const historyDir = path.join(repoRoot, 'media-originals', 'manifest-history');
+const draftHistoryDir = path.join(repoRoot, 'media-originals', 'drafts-history');
+const draftsPath = path.join(repoRoot, 'media-originals', 'drafts.json');
+const listenerStatsDir = path.join(repoRoot, 'media-originals', 'listener-stats');
+const uploadTmpDir = path.join(os.tmpdir(), 'offley-fm-uploads');
+const publicDir = path.join(repoRoot, 'public');
+const encodeScript = path.join(repoRoot, 'scripts', 'encode-rendition.sh');
+const packageHlsScript = path.join(repoRoot, 'scripts', 'package-hls.sh');
+const renderArtworkScript = path.join(repoRoot, 'scripts', 'render-artwork.sh');
 const estimateBpmScript = path.join(repoRoot, 'scripts', 'estimate_bpm.py');
 const venvPython = path.join(repoRoot, '.venv', 'bin', 'python');
+const BPM_ESTIMATOR = String(process.env.BPM_ESTIMATOR || 'auto').trim().toLowerCase();
+const usersFile = process.env.ADMIN_USERS_FILE
+  ? path.resolve(process.env.ADMIN_USERS_FILE)
+  : path.join(repoRoot, 'admin-users.json');
+const ALLOWED_ADMIN_ORIGINS = new Set(
+  String(process.env.ADMIN_API_ALLOWED_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173,http://localhost:4173')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+);
 const LISTENER_TTL_MS = 45000;
+const MEDIA_GC_GRACE_MS = 10 * 60 * 1000;
+const MAX_UPLOAD_BYTES = 512 * 1024 * 1024;
+const UPLOAD_SWEEP_MS = 15 * 60 * 1000;
+const JOB_SWEEP_MS = 60 * 60 * 1000;
+const TRACKLIST_MAX_BYTES = 256 * 1024;
+const LISTENER_STATS_PRUNE_MS = 24 * 60 * 60 * 1000;
 const listenersByStation = new Map();
-const STATION_TAG_OPTIONS = [
-  'House',
-  'strictly vinyl',
-  'disco',
-  'techno',
-  'balearic',
-  'Ambient',
-  'dub',
-  'Trance',
-  'groovy'
-];
-const TAG_LOOKUP = new Map(STATION_TAG_OPTIONS.map((tag) => [tag.toLowerCase(), tag]));
+const listenerStats = createListenerStats({ statsDir: listenerStatsDir });
+// Shared by the manifest and listener channels; a player tab holds one of each.
+const eventStreamLimiter = createStreamLimiter({
+  maxStreams: Math.max(1, Number.parseInt(process.env.EVENT_STREAM_LIMIT || '1000', 10) || 1000),
+  maxStreamsPerClient: Math.max(1, Number.parseInt(process.env.EVENT_STREAM_CLIENT_LIMIT || '16', 10) || 16)
+});
+const listenerEvents = createListenerEvents({ streamLimiter: eventStreamLimiter });
+
+const manifestHistory = createManifestHistory({ historyDir });
+
+const manifestStore = createManifestStore({
+  manifestPath,
+  migrate: migrateManifest,
+  validate: manifestValidationErrors,
+  history: manifestHistory
+});
+
+// Drafts never go into the public stations.json; they wait here until published.
+// They keep their own history, since the two files number revisions separately.
+const draftHistory = createManifestHistory({ historyDir: draftHistoryDir });
+
+const draftStore = createManifestStore({
+  manifestPath: draftsPath,
+  migrate: migrateManifest,
+  validate: manifestValidationErrors,
+  history: draftHistory,
+  initial: { stations: [] }
+});
+
+const manifestEvents = createManifestEvents({ manifestStore, manifestPath, streamLimiter: eventStreamLimiter });
 
 const upload = multer({
-  dest: path.join(os.tmpdir(), 'offley-fm-uploads'),
+  dest: uploadTmpDir,
   limits: {
-    fileSize: 512 * 1024 * 1024
+    fileSize: MAX_UPLOAD_BYTES
   }
 });
 
+const uploadStore = createUploadStore({ uploadsDir, maxSize: MAX_UPLOAD_BYTES });
+
+const auth = createAuth({
+  usersFile,
+  sessionSecret: process.env.ADMIN_SESSION_SECRET,
+  secretFile: path.join(repoRoot, 'media-originals', 'session-secret'),
+  apiToken: process.env.ADMIN_API_TOKEN
+});
+
+function isPublicApiRequest(req) {
+  if (
+    req.path.startsWith('/api/listeners') ||
+    req.path.startsWith('/api/preview/') ||
+    req.path === '/api/manifest/events' ||
+    req.path === '/api/time'
+  ) {
+    return true;
+  }
+  const method = req.method === 'OPTIONS' ? String(req.headers['access-control-request-method'] || 'GET') : req.method;
+  return req.path === '/api/stations' && method.toUpperCase() === 'GET';
+}
+
+// Behind a reverse proxy every request arrives from the proxy's address, so
+// `req.ip` (which keys the stream and login limits) needs the forwarded one.
+// Takes what Express does: `true`, a hop count, or addresses/subnets.
+function parseTrustProxy(value) {
+  const setting = String(value || '').trim();
+  if (!setting || setting === 'false') {
+    return false;
+  }
+  if (setting === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(setting) ? Number.parseInt(setting, 10) : setting;
+}
+
 const app = express();
+app.set('trust proxy', parseTrustProxy(process.env.ADMIN_API_TRUST_PROXY));
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  const origin = String(req.headers.origin || '');
+  if (isPublicApiRequest(req)) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && ALLOWED_ADMIN_ORIGINS.has(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
+  res.header('Access-Control-Allow-Methods', 'GET,HEAD,POST,PATCH,DELETE,OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, Upload-Offset, Upload-Checksum');
+  res.header('Access-Control-Expose-Headers', 'ETag, Upload-Offset, Upload-Length');
   if (req.method === 'OPTIONS') {
     res.sendStatus(204);
     return;
@@ -66,9 +207,11 @@ function pruneStationListeners(stationKey, now = Date.now()) {
 
   if (stationListeners.size === 0) {
     listenersByStation.delete(stationKey);
+    listenerEvents.publish(stationKey, 0);
     return 0;
   }
 
+  listenerEvents.publish(stationKey, stationListeners.size);
   return stationListeners.size;
 }
 
@@ -76,6 +219,37 @@ function listenerCountForStation(stationKey) {
   return pruneStationListeners(stationKey);
 }
 
+// Heartbeats are keyed by the `94.30MHz` hash; stats are kept per station id so
+// a frequency change or a scheduled swap on the same tick doesn't mix mixes.
+async function sampleListenerStats() {
+  const now = Date.now();
+  const { manifest } = await manifestStore.read();
+  const onAir = manifestStations(manifest).filter((station) => isStationOnAir(station, now));
+  const counts = {};
+  for (const stationKey of [...listenersByStation.keys()]) {
+    const listeners = pruneStationListeners(stationKey, now);
+    const tick = frequencyTickIndex(stationKey.replace(/mhz$/i, ''));
+    const station = tick === null ? null : onAir.find((entry) => frequencyTickIndex(entry.frequency) === tick);
+    if (station && listeners > 0) {
+      counts[station.id] = (counts[station.id] || 0) + listeners;
+    }
+  }
+  await listenerStats.record(counts, now);
+}
+
+// `from`/`to` are ISO 8601 times or epoch milliseconds.
+function parseStatsTime(rawValue, field) {
+  const source = String(rawValue ?? '').trim();
+  if (!source) {
+    return null;
+  }
+  const time = /^\d+$/.test(source) ? Number(source) : Date.parse(parseScheduleTime(source) ?? '');
+  if (!Number.isFinite(time)) {
+    throw httpError(400, `${field} must be an ISO 8601 time or epoch milliseconds.`);
+  }
+  return time;
+}
+
 function sanitizeId(input) {
   return String(input || '')
     .toLowerCase()
@@ -83,11 +257,6 @@ function sanitizeId(input) {
     .replace(/^-+|-+$/g, '');
 }
 
-function ensureFiniteFrequency(value) {
-  const parsed = Number.parseFloat(value);
-  return Number.isFinite(parsed) ? parsed.toFixed(2) : null;
-}
-
 function normalizeTags(rawValue) {
   let values = [];
   if (Array.isArray(rawValue)) {
@@ -109,75 +278,74 @@ function normalizeTags(rawValue) {
     }
   }
 
-  const deduped = new Set();
-  for (const value of values) {
-    const key = String(value || '').trim().toLowerCase();
-    if (!key || !TAG_LOOKUP.has(key) || deduped.has(key)) {
-      continue;
-    }
-    deduped.add(key);
-  }
-  return [...deduped].map((key) => TAG_LOOKUP.get(key));
+  return normalizeStationTags(values);
 }
 
-function parseLocationFromInput(rawValue) {
-  const source = String(rawValue || '').trim();
-  if (!source) {
-    return undefined;
-  }
+function normalizeSignalInput(rawValue, fallback = 3) {
+  const parsed = Number.parseInt(rawValue, 10);
+  return Number.isFinite(parsed) ? Math.max(1, Math.min(4, parsed)) : fallback;
+}
 
-  const decimalPattern = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
-  const decimalMatch = source.match(decimalPattern);
-  if (decimalMatch) {
-    const lat = Number.parseFloat(decimalMatch[1]);
-    const lon = Number.parseFloat(decimalMatch[2]);
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      return {
-        lat: Number(lat.toFixed(6)),
-        lon: Number(lon.toFixed(6))
-      };
-    }
+function parseLatLonInput(latRaw, lonRaw) {
+  if (String(latRaw ?? '').trim() === '' || String(lonRaw ?? '').trim() === '') {
+    return null;
   }
+  return parseLocation({ lat: String(latRaw).trim(), lon: String(lonRaw).trim() });
+}
 
-  const dmsPattern = /(\d+(?:\.\d+)?)°\s*(\d+(?:\.\d+)?)'\s*(\d+(?:\.\d+)?)"?\s*([NSEW])/gi;
-  const matches = [...source.matchAll(dmsPattern)];
-  if (matches.length >= 2) {
-    const toDecimal = (degrees, minutes, seconds, hemisphere) => {
-      const value =
-        Number.parseFloat(degrees) +
-        Number.parseFloat(minutes) / 60 +
-        Number.parseFloat(seconds) / 3600;
-      return hemisphere === 'S' || hemisphere === 'W' ? -value : value;
-    };
+// Empty input leaves the station unscheduled on that side.
+function parseScheduleInput(rawValue, field) {
+  if (rawValue === null || rawValue === undefined || !String(rawValue).trim()) {
+    return null;
+  }
+  const time = parseScheduleTime(rawValue);
+  if (!time) {
+    throw httpError(400, `${field} must be an ISO 8601 time, e.g. 2025-06-01T18:00:00Z.`);
+  }
+  return time;
+}
 
-    const lat = toDecimal(matches[0][1], matches[0][2], matches[0][3], matches[0][4].toUpperCase());
-    const lon = toDecimal(matches[1][1], matches[1][2], matches[1][3], matches[1][4].toUpperCase());
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      return {
-        lat: Number(lat.toFixed(6)),
-        lon: Number(lon.toFixed(6))
-      };
-    }
+// The tune form and batch import can hold a station back as a draft. Publishing
+// is its own action (POST /api/stations/:id/publish).
+function parseStatusInput(rawValue) {
+  const status = String(rawValue ?? '').trim().toLowerCase();
+  if (!status || status === 'published') {
+    return null;
   }
+  if (status !== 'draft') {
+    throw httpError(400, 'status must be draft or published.');
+  }
+  return status;
+}
 
-  return undefined;
+function stationPreviewLink(station) {
+  const { token, expiresAt } = auth.issuePreviewToken(station.id);
+  return { url: `/?preview=${encodeURIComponent(token)}`, expiresAt };
 }
 
-function parseLatLonInput(latRaw, lonRaw) {
-  const lat = Number.parseFloat(String(latRaw ?? '').trim());
-  const lon = Number.parseFloat(String(lonRaw ?? '').trim());
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    return undefined;
+// Tracklists arrive as .cue / timestamped text, or as an already-parsed list
+// from API clients. Empty input means "no tracklist".
+function parseTracklistInput(rawValue) {
+  if (rawValue === null || rawValue === undefined || (typeof rawValue === 'string' && !rawValue.trim())) {
+    return null;
+  }
+  if (Array.isArray(rawValue)) {
+    const errors = tracklistValidationErrors(rawValue);
+    if (errors.length > 0) {
+      throw httpError(400, `Invalid tracklist: ${errors.join('; ')}`);
+    }
+    return rawValue.map(({ start, artist, title }) => (artist ? { start, artist, title } : { start, title }));
+  }
+  try {
+    return parseTracklist(String(rawValue));
+  } catch (error) {
+    throw httpError(400, `Invalid tracklist: ${error.message}`);
   }
-  return {
-    lat: Number(lat.toFixed(6)),
-    lon: Number(lon.toFixed(6))
-  };
 }
 
-async function runConvertTo128(inputPath, outputPath) {
+async function runMediaScript(scriptPath, args) {
   await new Promise((resolve, reject) => {
-    const child = spawn(convertScript, [inputPath, outputPath], {
+    const child = spawn(scriptPath, args, {
       cwd: repoRoot,
       stdio: 'inherit'
     });
@@ -188,12 +356,55 @@ async function runConvertTo128(inputPath, outputPath) {
         resolve();
         return;
       }
-      reject(new Error(`convert-to-128k failed with code ${code}`));
+      reject(new Error(`${path.basename(scriptPath, '.sh')} failed with code ${code}`));
     });
   });
 }
 
-async function estimateBpmInt(trackPath) {
+async function runEncodeRendition(inputPath, outputPath, rendition) {
+  await runMediaScript(encodeScript, [inputPath, outputPath, rendition.codec, String(rendition.bitrate)]);
+}
+
+async function packageStationHls(inputPath, baseName, jobId) {
+  const playlist = hlsPlaylistUrl(baseName);
+  const stationHlsDir = path.dirname(resolvePublicMediaPath(playlist));
+  const stagingDir = path.join(path.dirname(stationHlsDir), `.${baseName}-${jobId}`);
+
+  try {
+    await runMediaScript(packageHlsScript, [inputPath, stagingDir, String(HLS_SEGMENT_SECONDS)]);
+    const { duration, segmentDurations } = parseHlsPlaylist(await fs.readFile(path.join(stagingDir, 'index.m3u8'), 'utf8'));
+    if (segmentDurations.length === 0 || !(duration > 0)) {
+      throw new Error('playlist has no segments');
+    }
+    await fs.rm(stationHlsDir, { recursive: true, force: true });
+    await fs.rename(stagingDir, stationHlsDir);
+    return {
+      playlist,
+      segmentDuration: HLS_SEGMENT_SECONDS,
+      segmentCount: segmentDurations.length,
+      duration
+    };
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function renderStationArtwork(inputPath, baseName, jobId) {
+  const artwork = artworkVariantUrls(baseName);
+  const stationArtworkDir = path.dirname(resolvePublicMediaPath(artwork[ARTWORK_VARIANTS[0].name].jpeg));
+  const stagingDir = path.join(path.dirname(stationArtworkDir), `.${baseName}-${jobId}`);
+
+  try {
+    await runMediaScript(renderArtworkScript, [inputPath, stagingDir, ...ARTWORK_VARIANTS.map(({ name, size }) => `${name}:${size}`)]);
+    await fs.rm(stationArtworkDir, { recursive: true, force: true });
+    await fs.rename(stagingDir, stationArtworkDir);
+    return artwork;
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function estimatePythonBpm(trackPath) {
   const candidates = [venvPython, 'python3'];
   let lastError = null;
 
@@ -225,46 +436,199 @@ async function estimateBpmInt(trackPath) {
       });
 
       const parsed = JSON.parse(payload);
-      const bpmInt = Number.parseInt(parsed?.bpmInt, 10);
-      if (Number.isFinite(bpmInt)) {
-        return bpmInt;
+      if (Number.isFinite(Number.parseInt(parsed?.bpmInt, 10))) {
+        return parsed;
       }
     } catch (error) {
       lastError = error;
     }
   }
 
-  if (lastError) {
-    console.warn(`[bpm] unable to estimate BPM for ${trackPath}: ${lastError.message}`);
+  throw lastError || new Error('BPM unavailable');
+}
+
+// librosa (scripts/estimate_bpm.py) is preferred when the venv has it; the
+// in-process estimator covers servers without Python. BPM_ESTIMATOR=python|js
+// pins one backend. `jsEstimate` is the in-process result when the caller has
+// already decoded the track for it.
+async function estimateBpmInt(trackPath, { jsEstimate } = {}) {
+  const backends = {
+    python: () => estimatePythonBpm(trackPath),
+    js: () => (jsEstimate !== undefined ? jsEstimate : estimateTempo(trackPath))
+  };
+  const order = backends[BPM_ESTIMATOR] ? [BPM_ESTIMATOR] : ['python', 'js'];
+
+  for (const name of order) {
+    try {
+      const result = await backends[name]();
+      const bpmInt = Number.parseInt(result?.bpmInt, 10);
+      if (Number.isFinite(bpmInt)) {
+        console.log(`[bpm] ${name} estimate for ${path.basename(trackPath)}: ${result.bpm} (confidence ${result.confidence})`);
+        return bpmInt;
+      }
+    } catch (error) {
+      const reason = String(error.message || '').trim().split('\n').pop();
+      console.warn(`[bpm] ${name} estimator unavailable for ${path.basename(trackPath)}: ${reason}`);
+    }
   }
   return null;
 }
 
-async function readManifest() {
-  const raw = await fs.readFile(manifestPath, 'utf8');
-  return JSON.parse(raw);
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 }
 
-async function patchStationBpm(stationId, bpmInt) {
-  if (!stationId || !Number.isFinite(bpmInt)) {
-    return false;
+function manifestStations(manifest) {
+  return Array.isArray(manifest?.stations) ? manifest.stations : [];
+}
+
+async function readDraftStations() {
+  const { manifest } = await draftStore.read();
+  return manifestStations(manifest);
+}
+
+// Published stations and drafts: everything that holds a dial tick or media.
+async function readAllStations() {
+  const [{ manifest }, drafts] = await Promise.all([manifestStore.read(), readDraftStations()]);
+  return [...manifestStations(manifest), ...drafts];
+}
+
+async function findStoredStation(stationId) {
+  for (const store of [draftStore, manifestStore]) {
+    const { manifest } = await store.read();
+    const station = manifestStations(manifest).find((entry) => entry.id === stationId);
+    if (station) {
+      return { station, store };
+    }
   }
-  const manifest = await readManifest();
-  const stations = Array.isArray(manifest.stations) ? manifest.stations : [];
-  const index = stations.findIndex((station) => station.id === stationId);
-  if (index < 0) {
-    return false;
+  return null;
+}
+
+// Each store queues its own writes, but a station can move between them, so
+// every station write goes through this one lock as well.
+let stationWrites = Promise.resolve();
+
+function withStationLock(task) {
+  const run = stationWrites.then(task, task);
+  stationWrites = run.catch(() => {});
+  return run;
+}
+
+// Writes a station to the store its status belongs in and takes it out of the
+// other one when that changes. `build` gets the stored station (or null) and
+// every other station, and returns the station to save. If-Match is checked
+// against the store the station is written to.
+function saveStation(stationId, build, { ifMatch, actor, action }) {
+  return withStationLock(async () => {
+    const located = await findStoredStation(stationId);
+    const previousStation = located?.station ?? null;
+    const otherStations = (await readAllStations()).filter((station) => station.id !== stationId);
+    const station = build(previousStation, otherStations);
+    const targetStore = isStationDraft(station) ? draftStore : manifestStore;
+
+    const saved = await targetStore.update((manifest) => ({
+      ...manifest,
+      stations: sortStationsByFrequency([...manifestStations(manifest).filter((entry) => entry.id !== stationId), station])
+    }), { ifMatch, actor, action });
+    if (located && located.store !== targetStore) {
+      await located.store.update((manifest) => ({
+        ...manifest,
+        stations: manifestStations(manifest).filter((entry) => entry.id !== stationId)
+      }), { actor, action });
+    }
+    return { saved, station, previousStation };
+  });
+}
+
+// Older manifests (and snapshots of them) carry drafts inline; any not in the
+// draft store yet are added to it.
+async function keepDrafts(stations, { actor, action }) {
+  const drafts = stations.filter(isStationDraft);
+  if (drafts.length === 0) {
+    return;
   }
-  stations[index] = {
-    ...stations[index],
-    bpm: Math.round(bpmInt)
+  await draftStore.update((manifest) => {
+    const knownIds = new Set(manifestStations(manifest).map((station) => station.id));
+    const added = drafts.filter((station) => !knownIds.has(station.id));
+    return added.length > 0 ? { ...manifest, stations: sortStationsByFrequency([...manifestStations(manifest), ...added]) } : null;
+  }, { actor, action });
+}
+
+function moveDraftsOutOfManifest() {
+  return withStationLock(async () => {
+    const { manifest } = await manifestStore.read();
+    const drafts = manifestStations(manifest).filter(isStationDraft);
+    if (drafts.length === 0) {
+      return;
+    }
+    await keepDrafts(drafts, { actor: 'system', action: 'move-drafts' });
+    await manifestStore.update((current) => ({
+      ...current,
+      stations: manifestStations(current).filter((station) => !isStationDraft(station))
+    }), { actor: 'system', action: 'move-drafts' });
+    console.log(`[drafts] moved ${drafts.length} draft(s) out of ${path.relative(repoRoot, manifestPath)}`);
+  });
+}
+
+function stationSummary(station) {
+  return {
+    id: station.id,
+    title: station.title,
+    frequency: station.frequency
   };
-  const nextManifest = {
-    ...manifest,
-    stations: sortStationsByFrequency(stations)
+}
+
+// `during` is the station being placed: only stations on air at the same time
+// as it count.
+function frequencyConflictError(stations, frequency, stationId, during) {
+  const { collisions } = frequencyNeighbours(stations, frequency, { ignoreId: stationId, during });
+  if (collisions.length === 0) {
+    return null;
+  }
+  const labels = collisions.map((station) => `${station.id} (${formatFrequency(station.frequency)} MHz)`);
+  const error = httpError(409, `${formatFrequency(frequency)} MHz lands on the same dial tick as ${labels.join(', ')}.`);
+  error.details = {
+    conflicts: collisions.map(stationSummary),
+    suggestions: suggestFrequencies(stations, { near: frequency, ignoreId: stationId, during })
   };
-  await fs.writeFile(manifestPath, `${JSON.stringify(nextManifest, null, 2)}\n`, 'utf8');
-  return true;
+  return error;
+}
+
+function frequencyWarnings(stations, frequency, stationId, during) {
+  const { nearby } = frequencyNeighbours(stations, frequency, { ignoreId: stationId, during });
+  return nearby.map(
+    (station) => `${formatFrequency(frequency)} MHz is one dial tick from ${station.id} (${formatFrequency(station.frequency)} MHz).`
+  );
+}
+
+function patchStationBpm(stationId, bpmInt) {
+  if (!stationId || !Number.isFinite(bpmInt)) {
+    return Promise.resolve(false);
+  }
+  return withStationLock(async () => {
+    const located = await findStoredStation(stationId);
+    if (!located) {
+      return false;
+    }
+    const { changed } = await located.store.update((manifest) => {
+      const stations = manifestStations(manifest);
+      const index = stations.findIndex((station) => station.id === stationId);
+      if (index < 0) {
+        return null;
+      }
+      stations[index] = {
+        ...stations[index],
+        bpm: Math.round(bpmInt)
+      };
+      return {
+        ...manifest,
+        stations: sortStationsByFrequency(stations)
+      };
+    }, { actor: 'system', action: 'bpm-retry' });
+    return changed;
+  });
 }
 
 function scheduleBpmRetry({ stationId, trackPath, delayMs = 1200 }) {
@@ -288,109 +652,257 @@ function scheduleBpmRetry({ stationId, trackPath, delayMs = 1200 }) {
   }, delayMs).unref();
 }
 
-function sortStationsByFrequency(stations) {
-  return [...stations].sort((a, b) => {
-    const aFreq = Number.parseFloat(a.frequency);
-    const bFreq = Number.parseFloat(b.frequency);
-    if (Number.isFinite(aFreq) && Number.isFinite(bFreq) && aFreq !== bFreq) {
-      return aFreq - bFreq;
+function scheduleMediaCollection(urls, delayMs = MEDIA_GC_GRACE_MS) {
+  if (urls.length === 0) {
+    return;
+  }
+  setTimeout(async () => {
+    try {
+      // Media a retained revision points at stays, so rolling back still works.
+      const referenced = referencedMediaUrls([
+        ...(await readAllStations()),
+        ...(await manifestHistory.retainedStations()),
+        ...(await draftHistory.retainedStations())
+      ]);
+      const removed = await removeMediaUrls(publicDir, urls.filter((url) => !referenced.has(url)));
+      if (removed.length > 0) {
+        console.log(`[media] collected superseded media: ${removed.join(', ')}`);
+      }
+    } catch (error) {
+      console.warn(`[media] collection failed: ${error.message}`);
     }
-    return String(a.id).localeCompare(String(b.id));
-  });
+  }, delayMs).unref();
 }
 
-function createTuneResponder(req, res) {
-  const streamProgress = String(req.query?.stream || '') === '1';
-  let lastPercent = 0;
-  let responseEnded = false;
+function buildStationPatch(body) {
+  const patch = {};
+  const source = body && typeof body === 'object' ? body : {};
 
-  const clampPercent = (value) => {
-    const parsed = Number.parseInt(value, 10);
-    if (!Number.isFinite(parsed)) {
-      return lastPercent;
+  if (source.title !== undefined) {
+    const title = String(source.title || '').trim();
+    if (!title) {
+      return { error: 'Title cannot be empty.' };
     }
-    return Math.max(lastPercent, Math.min(100, parsed));
-  };
+    patch.title = title;
+  }
 
-  const writeEvent = (payload) => {
-    if (!streamProgress || responseEnded) {
-      return;
+  if (source.host !== undefined) {
+    patch.host = String(source.host || '').trim();
+  }
+
+  if (source.tags !== undefined) {
+    patch.tags = normalizeTags(source.tags);
+  }
+
+  if (source.signal !== undefined) {
+    const signal = normalizeSignalInput(source.signal, null);
+    if (signal === null) {
+      return { error: 'Signal must be a number from 1 to 4.' };
     }
-    res.write(`${JSON.stringify(payload)}\n`);
-  };
+    patch.signal = signal;
+  }
 
-  if (streamProgress) {
-    res.status(200);
-    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-store');
-    res.setHeader('X-Accel-Buffering', 'no');
-    if (typeof res.flushHeaders === 'function') {
-      res.flushHeaders();
+  if (source.frequency !== undefined) {
+    const frequency = parseFrequency(source.frequency);
+    if (frequency === null) {
+      return { error: 'Frequency must be a number.' };
     }
+    patch.frequency = frequency;
   }
 
-  return {
-    progress(percent, stage) {
-      if (!streamProgress || responseEnded) {
-        return;
-      }
-      lastPercent = clampPercent(percent);
-      writeEvent({
-        type: 'progress',
-        ok: true,
-        percent: lastPercent,
-        stage: String(stage || '').trim()
-      });
-    },
-    success(station) {
-      if (responseEnded) {
-        return;
-      }
-      if (streamProgress) {
-        lastPercent = 100;
-        writeEvent({
-          type: 'result',
-          ok: true,
-          percent: 100,
-          stage: 'Done',
-          station
-        });
-        responseEnded = true;
-        res.end();
-        return;
+  if (source.owner !== undefined) {
+    patch.owner = String(source.owner || '').trim() || null;
+  }
+
+  if (source.rotation !== undefined) {
+    if (source.rotation === null || String(source.rotation).trim() === '') {
+      patch.rotation = null;
+    } else {
+      const rotation = Number.parseFloat(source.rotation);
+      if (!Number.isFinite(rotation)) {
+        return { error: 'Rotation must be a number of degrees.' };
       }
-      responseEnded = true;
-      res.json({ ok: true, station });
-    },
-    failure(statusCode, errorMessage) {
-      if (responseEnded) {
-        return;
+      patch.rotation = Number((((rotation % 360) + 360) % 360).toFixed(1));
+    }
+  }
+
+  if (source.tracklist !== undefined) {
+    try {
+      patch.tracklist = parseTracklistInput(source.tracklist);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  for (const field of ['publishAt', 'expireAt']) {
+    if (source[field] !== undefined) {
+      try {
+        patch[field] = parseScheduleInput(source[field], field);
+      } catch (error) {
+        return { error: error.message };
       }
-      const message = String(errorMessage || 'Unknown error');
-      if (streamProgress) {
-        writeEvent({
-          type: 'error',
-          ok: false,
-          percent: lastPercent,
-          error: message
-        });
-        responseEnded = true;
-        res.end();
-        return;
+    }
+  }
+
+  const hasLocationInput =
+    source.location !== undefined || source.lat !== undefined || source.lon !== undefined || source.coordinates !== undefined;
+  if (hasLocationInput) {
+    if (source.location === null) {
+      patch.location = null;
+    } else {
+      const location =
+        parseLatLonInput(source.location?.lat ?? source.lat, source.location?.lon ?? source.lon) ||
+        parseLocation(source.coordinates);
+      if (!location) {
+        return { error: 'Location must be a valid lat/lon pair.' };
       }
-      responseEnded = true;
-      res.status(statusCode).json({ error: message });
+      patch.location = location;
+    }
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return { error: 'No editable fields provided: title/host/tags/signal/location/frequency/rotation/tracklist/publishAt/expireAt' };
+  }
+
+  return { patch };
+}
+
+function applyStationPatch(station, patch) {
+  const next = { ...station };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+  }
+  return next;
+}
+
+function resolvePublicMediaPath(assetPath) {
+  const source = String(assetPath || '').trim();
+  if (!source.startsWith('/media/')) {
+    return null;
+  }
+  const resolved = path.resolve(publicDir, `.${source}`);
+  const mediaRoot = path.join(publicDir, 'media');
+  if (!resolved.startsWith(`${mediaRoot}${path.sep}`)) {
+    return null;
+  }
+  return resolved;
+}
+
+async function listStationOriginals(stationId) {
+  const entries = await fs.readdir(originalsDir).catch(() => []);
+  return entries
+    .filter((entry) => path.parse(entry).name === stationId)
+    .map((entry) => path.join(originalsDir, entry));
+}
+
+async function removeStationMedia(station, { archive = true, remainingStations = [] } = {}) {
+  const stillReferenced = referencedMediaUrls(remainingStations);
+  const candidates = [
+    ...stationMediaUrls(station)
+      .filter((url) => !stillReferenced.has(url))
+      .map(resolvePublicMediaPath),
+    ...(await listStationOriginals(station.id))
+  ].filter(Boolean);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const stationArchiveDir = path.join(archiveDir, `${station.id}-${stamp}`);
+  const handled = [];
+
+  for (const filePath of candidates) {
+    try {
+      await fs.access(filePath);
+    } catch (_error) {
+      continue;
     }
+
+    if (archive) {
+      const archivedPath = path.join(stationArchiveDir, path.relative(repoRoot, filePath));
+      await fs.mkdir(path.dirname(archivedPath), { recursive: true });
+      await moveFile(filePath, archivedPath);
+    } else {
+      await fs.rm(filePath, { recursive: true, force: true });
+    }
+    handled.push(path.relative(repoRoot, filePath));
+  }
+
+  return {
+    files: handled,
+    archivePath: archive && handled.length > 0 ? path.relative(repoRoot, stationArchiveDir) : null
   };
 }
 
-app.get('/api/stations', async (_req, res) => {
+app.post('/api/auth/login', async (req, res) => {
+  const retryAfter = auth.loginRetryAfter(req.ip, req.body?.username);
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many failed sign-ins. Try again later.' });
+    return;
+  }
+  try {
+    const session = await auth.login(req.body?.username, req.body?.password, req.ip);
+    if (!session) {
+      res.status(401).json({ error: 'Invalid username or password.' });
+      return;
+    }
+    console.log(`[auth] ${session.user.username} signed in (${session.user.role})`);
+    res.json({ ok: true, ...session });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/session', auth.requireAuth(), (req, res) => {
+  res.json({ ok: true, user: req.user });
+});
+
+// Listeners only see stations that are on air now; signed-in admins and hosts
+// can ask for the scheduled and expired ones, plus drafts, with `?scheduled=1`.
+// The ETag is the manifest file's, for use with If-Match.
+async function sendStations(_req, res, { includeScheduled }) {
   try {
-    const manifest = await readManifest();
-    res.json(manifest);
+    const { manifest, etag } = await manifestStore.read();
+    res.setHeader('ETag', etag);
+    const now = Date.now();
+    const stations = includeScheduled
+      ? sortStationsByFrequency([...manifestStations(manifest), ...(await readDraftStations())])
+      : manifestStations(manifest).filter((station) => isStationOnAir(station, now));
+    res.json({ ...manifest, stations });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
+}
+
+app.get('/api/stations', (req, res) => {
+  if (String(req.query?.scheduled || '') !== '1') {
+    void sendStations(req, res, { includeScheduled: false });
+    return;
+  }
+  auth.requireAuth()(req, res, () => {
+    void sendStations(req, res, { includeScheduled: true });
+  });
+});
+
+// Clock reference for the player's offset estimate (src/syncClock.js).
+app.get('/api/time', (_req, res) => {
+  const receivedAt = Date.now();
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ ok: true, receivedAt, sentAt: Date.now() });
+});
+
+app.get('/api/manifest/events', (req, res) => {
+  manifestEvents.handle(req, res);
+});
+
+app.get('/api/listeners/events', (req, res) => {
+  const stations = String(req.query.station || '')
+    .split(',')
+    .map((station) => station.trim())
+    .filter(Boolean);
+  listenerEvents.handle(req, res, { stations: stations.length > 0 ? new Set(stations) : null });
 });
 
 app.get('/api/listeners', (req, res) => {
@@ -403,6 +915,35 @@ app.get('/api/listeners', (req, res) => {
   res.json({ ok: true, station, listeners });
 });
 
+app.get('/api/stats/listeners', auth.requireAuth('admin'), async (req, res) => {
+  try {
+    const to = parseStatsTime(req.query.to, 'to') ?? Date.now();
+    const from = parseStatsTime(req.query.from, 'from') ?? to - 24 * 60 * 60 * 1000;
+    if (!(from < to)) {
+      throw httpError(400, 'from must be before to.');
+    }
+    const bucketMs = req.query.bucket === undefined ? defaultBucketMs(from, to) : parseStatsDuration(req.query.bucket);
+    if (!bucketMs || bucketMs < LISTENER_SAMPLE_MS) {
+      throw httpError(400, `bucket must be a duration of at least ${LISTENER_SAMPLE_MS / 1000}s, e.g. 15m, 1h or 1d.`);
+    }
+    if ((to - from) / bucketMs > LISTENER_STATS_MAX_BUCKETS) {
+      throw httpError(400, `That range needs more than ${LISTENER_STATS_MAX_BUCKETS} buckets; pick a larger bucket.`);
+    }
+    const station = sanitizeId(req.query.station) || null;
+    const stations = await listenerStats.query({ station, from, to, bucketMs });
+    res.json({
+      ok: true,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      bucketMs,
+      sampleMs: LISTENER_SAMPLE_MS,
+      stations
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 app.post('/api/listeners/heartbeat', (req, res) => {
   const station = String(req.body?.station || '').trim();
   const clientId = String(req.body?.clientId || '').trim();
@@ -424,111 +965,896 @@ app.post('/api/listeners/heartbeat', (req, res) => {
   res.json({ ok: true, station, listeners });
 });
 
-app.post('/api/tune-station', upload.fields([{ name: 'audio', maxCount: 1 }, { name: 'art', maxCount: 1 }]), async (req, res) => {
-  const audioFile = req.files?.audio?.[0];
-  const artFile = req.files?.art?.[0];
-  const tuneResponse = createTuneResponder(req, res);
-
-  try {
-    const title = String(req.body.title || '').trim();
-    const providedId = sanitizeId(req.body.id);
-    const stationId = providedId || sanitizeId(title);
-    const frequency = ensureFiniteFrequency(req.body.frequency);
-    const location = parseLatLonInput(req.body?.lat, req.body?.lon) || parseLocationFromInput(req.body.coordinates);
-
-    if (!stationId || !title || !frequency || !audioFile || !artFile) {
-      tuneResponse.failure(400, 'Missing required fields: id/title/frequency/audio/art');
-      return;
-    }
+const AUDIO_MEDIA_FIELDS = ['track', 'audioHash', 'renditions', 'hls', 'loopDuration', 'peaks', 'loudness', 'gainDb', 'bpm', 'key'];
+const ART_MEDIA_FIELDS = ['art', 'artHash', 'artwork'];
 
-    tuneResponse.progress(91, 'Preparing files');
-    await fs.mkdir(artworkDir, { recursive: true });
-    await fs.mkdir(outputAudioDir, { recursive: true });
-    await fs.mkdir(originalsDir, { recursive: true });
-
-    const audioExt = path.extname(audioFile.originalname || '') || '.audio';
-    const artExt = path.extname(artFile.originalname || '') || '.jpg';
-    const originalAudioPath = path.join(originalsDir, `${stationId}${audioExt}`);
-    const convertedAudioPath = path.join(outputAudioDir, `${stationId}.mp3`);
-    const artworkPath = path.join(artworkDir, `${stationId}${artExt.toLowerCase()}`);
-
-    tuneResponse.progress(93, 'Saving original audio');
-    await fs.copyFile(audioFile.path, originalAudioPath);
-    tuneResponse.progress(94, 'Converting to 128kbps');
-    await runConvertTo128(audioFile.path, convertedAudioPath);
-    tuneResponse.progress(97, 'Estimating BPM');
-    const estimatedBpm = await estimateBpmInt(convertedAudioPath);
-    tuneResponse.progress(98, 'Saving artwork');
-    await fs.copyFile(artFile.path, artworkPath);
-    tuneResponse.progress(99, 'Updating manifest');
-
-    const manifest = await readManifest();
-    const stations = Array.isArray(manifest.stations) ? manifest.stations : [];
-
-    const parsedTags = normalizeTags(req.body.tags);
-    const fallbackTags = normalizeTags(req.body.tag || req.body.pendingTag);
-
-    const upsertedStation = {
-      id: stationId,
-      frequency,
-      title,
-      host: String(req.body.host || '').trim(),
-      tags: parsedTags.length > 0 ? parsedTags : fallbackTags,
-      signal: Number.isFinite(Number.parseInt(req.body.signal, 10))
-        ? Math.max(1, Math.min(4, Number.parseInt(req.body.signal, 10)))
-        : 3,
-      track: `/media/audio/128k/${stationId}.mp3`,
-      art: `/media/artwork/${stationId}${artExt.toLowerCase()}`
-    };
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+}
 
-    if (Number.isFinite(estimatedBpm)) {
-      upsertedStation.bpm = estimatedBpm;
-    }
+function omitFields(source, fields) {
+  return Object.fromEntries(Object.entries(source).filter(([field]) => !fields.includes(field)));
+}
 
-    if (location && Number.isFinite(location.lat) && Number.isFinite(location.lon)) {
-      upsertedStation.location = {
-        lat: Number(location.lat.toFixed(6)),
-        lon: Number(location.lon.toFixed(6))
-      };
+// An upload whose hash matches media another station already points at reuses
+// that station's outputs instead of encoding everything again.
+async function findMediaDonor(stations, hashField, hash, primaryUrlField) {
+  for (const station of stations) {
+    if (!hash || station[hashField] !== hash) {
+      continue;
     }
-
-    const existingIndex = stations.findIndex((station) => station.id === stationId);
-    if (existingIndex >= 0) {
-      const merged = {
-        ...stations[existingIndex],
-        ...upsertedStation
-      };
-      delete merged.coordinates;
-      stations[existingIndex] = merged;
-    } else {
-      stations.push(upsertedStation);
+    const primaryPath = resolvePublicMediaPath(station[primaryUrlField]);
+    if (primaryPath && (await fs.access(primaryPath).then(() => true, () => false))) {
+      return station;
     }
+  }
+  return null;
+}
 
-    const nextManifest = {
-      ...manifest,
-      stations: sortStationsByFrequency(stations)
-    };
+async function produceAudioMedia(job, { baseName, progress }) {
+  const { station: upsertedStation } = job.input;
+  const stationId = upsertedStation.id;
+  const audioFile = job.files.audio;
+  const convertedAudioPath = resolvePublicMediaPath(upsertedStation.track);
 
-    await fs.writeFile(manifestPath, `${JSON.stringify(nextManifest, null, 2)}\n`, 'utf8');
+  const renditions = [];
+  for (const rendition of AUDIO_LADDER) {
+    const url = renditionUrl(baseName, rendition);
+    progress(94 + renditions.length, `Encoding ${rendition.bitrate}kbps ${rendition.codec.toUpperCase()}`);
+    try {
+      await runEncodeRendition(audioFile.path, resolvePublicMediaPath(url), rendition);
+    } catch (error) {
+      if (rendition === PRIMARY_RENDITION) {
+        throw error;
+      }
+      console.warn(`[ingest] skipping ${rendition.codec} ${rendition.bitrate}k for ${stationId}: ${error.message}`);
+      continue;
+    }
+    renditions.push({
+      codec: rendition.codec,
+      bitrate: rendition.bitrate,
+      mimeType: rendition.mimeType,
+      url
+    });
+  }
+  const media = {
+    track: upsertedStation.track,
+    audioHash: upsertedStation.audioHash,
+    renditions
+  };
 
-    await Promise.allSettled([
-      fs.unlink(audioFile.path),
-      fs.unlink(artFile.path)
-    ]);
+  progress(96, 'Packaging HLS');
+  try {
+    media.hls = await packageStationHls(audioFile.path, baseName, job.id);
+  } catch (error) {
+    console.warn(`[ingest] skipping HLS for ${stationId}: ${error.message}`);
+  }
+
+  progress(97, 'Measuring loudness');
+  try {
+    const { loudness, gainDb } = await measureLoudness(convertedAudioPath);
+    media.loudness = loudness;
+    media.gainDb = gainDb;
+  } catch (error) {
+    console.warn(`[loudness] unable to measure ${stationId}: ${error.message}`);
+  }
 
-    tuneResponse.success(upsertedStation);
+  // Waveform, tempo and key share one 8 kHz decode of the 128k rendition;
+  // only loudness needs a pass of its own.
+  progress(97, 'Analysing audio');
+  let analysis = null;
+  try {
+    analysis = await analysePcm(convertedAudioPath, {
+      peaks: createPeaksAnalyser(),
+      ...(BPM_ESTIMATOR === 'python' ? {} : { tempo: createTempoAnalyser() }),
+      key: createKeyAnalyser()
+    });
+    // The decoded 128k track's length is the loop every rendition is synced
+    // to; each codec pads its own encode slightly differently.
+    media.loopDuration = Number(analysis.duration.toFixed(3));
+  } catch (error) {
+    console.warn(`[ingest] unable to decode ${stationId} for analysis: ${error.message}`);
+  }
 
-    if (!Number.isFinite(estimatedBpm)) {
-      scheduleBpmRetry({ stationId, trackPath: convertedAudioPath });
+  if (analysis?.peaks) {
+    try {
+      const peaksUrl = `/media/peaks/${baseName}.json`;
+      const peaksPath = resolvePublicMediaPath(peaksUrl);
+      await fs.mkdir(path.dirname(peaksPath), { recursive: true });
+      await writeFileAtomic(peaksPath, `${JSON.stringify(analysis.peaks)}\n`);
+      media.peaks = peaksUrl;
+    } catch (error) {
+      console.warn(`[waveform] unable to write peaks for ${stationId}: ${error.message}`);
     }
+  }
+
+  progress(97, 'Estimating BPM');
+  const estimatedBpm = await estimateBpmInt(convertedAudioPath, { jsEstimate: analysis?.tempo });
+  if (Number.isFinite(estimatedBpm)) {
+    media.bpm = estimatedBpm;
+  }
+
+  if (analysis?.key) {
+    media.key = analysis.key.key;
+    console.log(`[key] ${stationId}: ${analysis.key.key} (${analysis.key.name}, confidence ${analysis.key.confidence})`);
+  }
+  return media;
+}
+
+async function produceArtworkMedia(job, { baseName }) {
+  const { station: upsertedStation } = job.input;
+  const artFile = job.files.art;
+
+  await fs.mkdir(artworkDir, { recursive: true });
+  await fs.copyFile(artFile.path, resolvePublicMediaPath(upsertedStation.art));
+  const media = {
+    art: upsertedStation.art,
+    artHash: upsertedStation.artHash
+  };
+  try {
+    media.artwork = await renderStationArtwork(artFile.path, baseName, job.id);
   } catch (error) {
-    if (audioFile?.path) {
-      await fs.unlink(audioFile.path).catch(() => {});
+    console.warn(`[ingest] skipping artwork variants for ${upsertedStation.id}: ${error.message}`);
+  }
+  return media;
+}
+
+async function processTuneStationJob(job, { progress }) {
+  const { station: upsertedStation } = job.input;
+  const stationId = upsertedStation.id;
+  const mediaKeys = job.input.mediaKeys || { audio: stationId, art: stationId };
+  const audioFile = job.files.audio;
+
+  progress(91, 'Preparing files');
+  await fs.mkdir(originalsDir, { recursive: true });
+
+  const audioExt = path.extname(audioFile.originalname || '') || '.audio';
+  const originalAudioPath = path.join(originalsDir, `${stationId}${audioExt}`);
+
+  progress(93, 'Saving original audio');
+  await fs.copyFile(audioFile.path, originalAudioPath);
+
+  const currentStations = await readAllStations();
+
+  const audioDonor = await findMediaDonor(currentStations, 'audioHash', upsertedStation.audioHash, 'track');
+  let audioMedia = null;
+  if (audioDonor) {
+    progress(97, `Reusing audio from ${audioDonor.id}`);
+    audioMedia = pickFields(audioDonor, AUDIO_MEDIA_FIELDS);
+  } else {
+    audioMedia = await produceAudioMedia(job, { baseName: mediaKeys.audio, progress });
+  }
+
+  progress(98, 'Saving artwork');
+  const artDonor = await findMediaDonor(currentStations, 'artHash', upsertedStation.artHash, 'art');
+  const artMedia = artDonor ? pickFields(artDonor, ART_MEDIA_FIELDS) : await produceArtworkMedia(job, { baseName: mediaKeys.art });
+  progress(99, 'Updating manifest');
+
+  const nextStation = {
+    ...omitFields(upsertedStation, [...AUDIO_MEDIA_FIELDS, ...ART_MEDIA_FIELDS]),
+    ...audioMedia,
+    ...artMedia
+  };
+
+  let saveResult = null;
+  try {
+    saveResult = await saveStation(stationId, (existingStation, otherStations) => {
+      const conflictError = frequencyConflictError(otherStations, nextStation.frequency, stationId, nextStation);
+      if (conflictError) {
+        throw conflictError;
+      }
+      if (!existingStation) {
+        return {
+          ...nextStation,
+          owner: job.user.username
+        };
+      }
+      if (!canEditStation(job.user, existingStation)) {
+        throw httpError(403, `Station ${stationId} belongs to another host.`);
+      }
+      // A tracklist belongs to the mix it was timed against.
+      const staleFields = existingStation.audioHash === nextStation.audioHash ? [] : ['tracklist'];
+      return {
+        ...omitFields(existingStation, [...AUDIO_MEDIA_FIELDS, ...ART_MEDIA_FIELDS, ...staleFields]),
+        ...nextStation
+      };
+    }, { ifMatch: job.input.ifMatch, actor: job.user.username, action: 'tune-station' });
+  } catch (error) {
+    // The new renditions, HLS, artwork and peaks were made for a write that
+    // didn't happen; anything no station points at is collected.
+    scheduleMediaCollection(stationMediaUrls(nextStation));
+    throw error;
+  }
+  const { station: savedStation, previousStation } = saveResult;
+
+  if (previousStation) {
+    scheduleMediaCollection(stationMediaUrls(previousStation));
+  }
+  if (!Number.isFinite(savedStation.bpm)) {
+    scheduleBpmRetry({ stationId, trackPath: resolvePublicMediaPath(savedStation.track) });
+  }
+
+  return {
+    station: savedStation,
+    reused: { audio: audioDonor?.id || null, art: artDonor?.id || null },
+    preview: isStationDraft(savedStation) ? stationPreviewLink(savedStation) : null
+  };
+}
+
+const ingestQueue = createIngestQueue({
+  jobsDir,
+  concurrency: Math.max(1, Number.parseInt(process.env.INGEST_CONCURRENCY || '1', 10) || 1),
+  processJob: processTuneStationJob
+});
+
+function canViewJob(user, job) {
+  return user.role === 'admin' || job.owner === user.username;
+}
+
+function canUseUpload(user, upload) {
+  return user.role === 'admin' || upload.owner === user.username;
+}
+
+function sendUpload(res, upload, status = 200) {
+  res.set('Upload-Offset', String(upload.offset));
+  res.set('Upload-Length', String(upload.size));
+  res.set('Cache-Control', 'no-store');
+  res.status(status).json({ ok: true, upload: publicUpload(upload) });
+}
+
+function findUpload(req) {
+  const upload = uploadStore.get(String(req.params.id || ''));
+  if (!upload || !canUseUpload(req.user, upload)) {
+    throw httpError(404, 'Upload not found.');
+  }
+  return upload;
+}
+
+// tune-station takes either a multipart file or the id of a finished resumable
+// upload (`audioUpload` / `artUpload`) for each media field.
+function requestMediaFile(req, field) {
+  const file = req.files?.[field]?.[0];
+  if (file) {
+    return file;
+  }
+  const uploadId = String(req.body?.[`${field}Upload`] || '').trim();
+  if (!uploadId) {
+    return null;
+  }
+  const upload = uploadStore.get(uploadId);
+  if (!upload || !canUseUpload(req.user, upload)) {
+    throw httpError(404, `Upload ${uploadId} not found.`);
+  }
+  if (upload.offset < upload.size) {
+    throw httpError(409, `Upload ${uploadId} is incomplete (${upload.offset} of ${upload.size} bytes).`);
+  }
+  return {
+    path: uploadStore.filePath(upload.id),
+    originalname: upload.filename,
+    size: upload.size,
+    uploadId: upload.id,
+    sha256: upload.sha256
+  };
+}
+
+// Without an `art` file the cover embedded in the audio's tags is written next
+// to the multer temp files and used as if it had been uploaded.
+async function embeddedArtFile(audioFile) {
+  let handle = null;
+  try {
+    handle = await fs.open(audioFile.path, 'r');
+    const { size } = await handle.stat();
+    const tags = await readAudioTags(async (offset, length) => {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+      return new Uint8Array(buffer.buffer, buffer.byteOffset, bytesRead);
+    }, size);
+    if (!tags?.picture) {
+      return null;
     }
-    if (artFile?.path) {
-      await fs.unlink(artFile.path).catch(() => {});
+    const originalname = `cover${pictureExtension(tags.picture.mimeType)}`;
+    const coverPath = path.join(uploadTmpDir, `embedded-${crypto.randomUUID()}${path.extname(originalname)}`);
+    await fs.mkdir(uploadTmpDir, { recursive: true });
+    await fs.writeFile(coverPath, tags.picture.data);
+    return { path: coverPath, originalname, size: tags.picture.data.length };
+  } catch (error) {
+    console.warn(`[tags] unable to read embedded cover from ${audioFile.originalname}: ${error.message}`);
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+app.post('/api/uploads', auth.requireAuth(), async (req, res) => {
+  try {
+    const upload = await uploadStore.create({
+      owner: req.user.username,
+      filename: req.body?.filename,
+      size: req.body?.size,
+      sha256: req.body?.sha256
+    });
+    sendUpload(res, upload, 201);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+app.get('/api/uploads/:id', auth.requireAuth(), (req, res) => {
+  try {
+    sendUpload(res, findUpload(req));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.patch(
+  '/api/uploads/:id',
+  auth.requireAuth(),
+  express.raw({ type: 'application/offset+octet-stream', limit: UPLOAD_CHUNK_BYTES }),
+  async (req, res) => {
+    try {
+      const upload = findUpload(req);
+      if (!req.is('application/offset+octet-stream')) {
+        throw httpError(415, 'Chunks must be sent as application/offset+octet-stream.');
+      }
+      const saved = await uploadStore.append(upload.id, {
+        offset: req.get('Upload-Offset'),
+        chunk: req.body,
+        checksum: req.get('Upload-Checksum')
+      });
+      sendUpload(res, saved);
+    } catch (error) {
+      if (error.details?.offset !== undefined) {
+        res.set('Upload-Offset', String(error.details.offset));
+      }
+      res.status(error.status || 500).json({ error: error.message, ...error.details });
     }
-    tuneResponse.failure(500, error.message);
+  }
+);
+
+app.delete('/api/uploads/:id', auth.requireAuth(), async (req, res) => {
+  try {
+    await uploadStore.remove(findUpload(req).id);
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Shared by the tune form and batch import: turns submitted fields plus the two
+// media files into the station draft and job input, or throws an httpError.
+async function prepareTuneStation(fields, { audioFile, artFile, tracklistText, user, stations }) {
+  const title = String(fields.title || '').trim();
+  const stationId = sanitizeId(fields.id) || sanitizeId(title);
+  const frequency = parseFrequency(fields.frequency);
+  const location = parseLatLonInput(fields.lat, fields.lon) || parseLocation(fields.coordinates);
+
+  if (!stationId || !title || !frequency || !audioFile) {
+    throw httpError(400, 'Missing required fields: id/title/frequency/audio');
+  }
+  if (!artFile) {
+    throw httpError(400, 'Missing artwork: send an art file or audio with an embedded cover.');
+  }
+
+  const artExt = path.extname(artFile.originalname || '') || '.jpg';
+  const [audioHash, artHash] = await Promise.all([hashFile(audioFile.path), hashFile(artFile.path)]);
+  for (const [file, hash] of [[audioFile, audioHash], [artFile, artHash]]) {
+    if (file.sha256 && file.sha256 !== hash) {
+      await uploadStore.remove(file.uploadId);
+      throw httpError(422, `Upload ${file.uploadId} does not match its declared sha256; upload the file again.`);
+    }
+  }
+  const mediaKeys = {
+    audio: mediaKey(stationId, audioHash),
+    art: mediaKey(stationId, artHash)
+  };
+  const parsedTags = normalizeTags(fields.tags);
+  const fallbackTags = normalizeTags(fields.tag || fields.pendingTag);
+
+  const station = {
+    id: stationId,
+    frequency,
+    title,
+    host: String(fields.host || '').trim(),
+    tags: parsedTags.length > 0 ? parsedTags : fallbackTags,
+    signal: normalizeSignalInput(fields.signal),
+    track: renditionUrl(mediaKeys.audio, PRIMARY_RENDITION),
+    audioHash,
+    art: `/media/artwork/${mediaKeys.art}${artExt.toLowerCase()}`,
+    artHash
+  };
+
+  if (location) {
+    station.location = location;
+  }
+  const tracklist = parseTracklistInput(tracklistText ?? fields.tracklist);
+  if (tracklist) {
+    station.tracklist = tracklist;
+  }
+  for (const field of ['publishAt', 'expireAt']) {
+    const time = parseScheduleInput(fields[field], field);
+    if (time) {
+      station[field] = time;
+    }
+  }
+  const status = parseStatusInput(fields.status);
+  if (status) {
+    station.status = status;
+  }
+
+  const stationErrors = stationValidationErrors(station);
+  if (stationErrors.length > 0) {
+    throw httpError(400, `Invalid station: ${stationErrors.join('; ')}`);
+  }
+
+  const currentStation = stations.find((entry) => entry.id === stationId);
+  if (currentStation && !canEditStation(user, currentStation)) {
+    throw httpError(403, `Station ${stationId} belongs to another host.`);
+  }
+
+  const conflictError = frequencyConflictError(stations, frequency, stationId, station);
+  if (conflictError) {
+    throw conflictError;
+  }
+
+  return {
+    station,
+    mediaKeys,
+    warnings: frequencyWarnings(stations, frequency, stationId, station)
+  };
+}
+
+const tuneStationFiles = upload.fields([
+  { name: 'audio', maxCount: 1 },
+  { name: 'art', maxCount: 1 },
+  { name: 'tracklist', maxCount: 1 }
+]);
+
+app.post('/api/tune-station', auth.requireAuth(), tuneStationFiles, async (req, res) => {
+  let audioFile = req.files?.audio?.[0];
+  let artFile = req.files?.art?.[0];
+  const tracklistFile = req.files?.tracklist?.[0];
+  // Resumable uploads stay put until the job is queued, so a rejected form can
+  // be corrected and resubmitted without sending the audio again.
+  const discardUploads = async () => {
+    await Promise.allSettled(
+      [audioFile, artFile].filter((file) => file?.path && !file.uploadId).map((file) => fs.unlink(file.path))
+    );
+  };
+
+  try {
+    audioFile = requestMediaFile(req, 'audio');
+    artFile = requestMediaFile(req, 'art') || (audioFile ? await embeddedArtFile(audioFile) : null);
+    if (audioFile?.uploadId && audioFile.uploadId === artFile?.uploadId) {
+      throw httpError(400, 'audioUpload and artUpload must be different uploads.');
+    }
+    let tracklistText;
+    if (tracklistFile) {
+      if (tracklistFile.size > TRACKLIST_MAX_BYTES) {
+        throw httpError(413, `Tracklist files are limited to ${TRACKLIST_MAX_BYTES / 1024} KB.`);
+      }
+      tracklistText = await fs.readFile(tracklistFile.path, 'utf8');
+    }
+
+    const { station, mediaKeys, warnings } = await prepareTuneStation(req.body, {
+      audioFile,
+      artFile,
+      tracklistText,
+      user: req.user,
+      stations: await readAllStations()
+    });
+
+    // Both uploads were checked complete above; a claim that still fails, or a
+    // failed enqueue, hands back whatever was already claimed.
+    const claimed = [];
+    let job = null;
+    try {
+      const files = {};
+      for (const [field, file] of [['audio', audioFile], ['art', artFile]]) {
+        files[field] = file.uploadId ? await uploadStore.claim(file.uploadId) : file;
+        if (file.uploadId) {
+          claimed.push(files[field]);
+        }
+      }
+      job = await ingestQueue.enqueue({
+        type: 'tune-station',
+        user: req.user,
+        input: {
+          station,
+          mediaKeys,
+          ifMatch: req.get('If-Match') || null
+        },
+        files
+      });
+    } catch (error) {
+      await Promise.allSettled(claimed.map((file) => uploadStore.release(file)));
+      throw error;
+    }
+    console.log(`[jobs] ${req.user.username} queued ${job.id} for ${station.id}`);
+    res.status(202).json({ ok: true, job: publicJob(job), warnings });
+  } catch (error) {
+    await discardUploads();
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  } finally {
+    if (tracklistFile?.path) {
+      await fs.unlink(tracklistFile.path).catch(() => {});
+    }
+  }
+});
+
+// Reads a server-side folder of audio + art and a CSV/JSON sidecar. Every row
+// is checked against the manifest and the rows before it; without `dryRun`
+// the rows that pass are queued as ordinary tune-station jobs.
+app.post('/api/import', auth.requireAuth('admin'), async (req, res) => {
+  const dryRun = Boolean(req.body?.dryRun);
+
+  try {
+    if (!String(req.body?.directory || '').trim()) {
+      throw httpError(400, 'directory is required.');
+    }
+    const directory = path.resolve(repoRoot, String(req.body.directory));
+    const { sidecarPath, rows } = await readImportSidecar(directory, req.body?.sidecar);
+    let stations = await readAllStations();
+    const seenIds = new Set();
+    const prepared = [];
+
+    const report = [];
+    for (const [index, row] of rows.entries()) {
+      const stationId = sanitizeId(row.id) || sanitizeId(row.title) || null;
+      const entry = { row: index + 1, id: stationId, title: String(row.title || ''), errors: [], warnings: [] };
+      report.push(entry);
+
+      const media = await resolveImportMedia(directory, row, stationId);
+      entry.errors.push(...media.errors);
+      if (stationId && seenIds.has(stationId)) {
+        entry.errors.push(`${stationId} appears more than once in ${path.basename(sidecarPath)}.`);
+      }
+      seenIds.add(stationId);
+      if (entry.errors.length > 0) {
+        continue;
+      }
+
+      try {
+        const result = await prepareTuneStation(row, {
+          audioFile: media.audio,
+          artFile: media.art,
+          tracklistText: media.tracklistText,
+          user: req.user,
+          stations
+        });
+        entry.frequency = result.station.frequency;
+        entry.action = stations.some((station) => station.id === result.station.id) ? 'update' : 'create';
+        entry.warnings = result.warnings;
+        stations = [...stations.filter((station) => station.id !== result.station.id), result.station];
+        prepared.push({ entry, media, ...result });
+      } catch (error) {
+        entry.errors.push(error.message);
+        if (error.details) {
+          Object.assign(entry, error.details);
+        }
+      }
+    }
+
+    if (!dryRun) {
+      await fs.mkdir(uploadTmpDir, { recursive: true });
+      for (const { entry, media, station, mediaKeys } of prepared) {
+        // Jobs move their inputs, so hand them copies and leave the folder as it was.
+        const files = {};
+        for (const field of ['audio', 'art']) {
+          const copyPath = path.join(uploadTmpDir, `import-${crypto.randomUUID()}${path.extname(media[field].path)}`);
+          await fs.copyFile(media[field].path, copyPath);
+          files[field] = { ...media[field], path: copyPath };
+        }
+        const job = await ingestQueue.enqueue({
+          type: 'tune-station',
+          user: req.user,
+          input: { station, mediaKeys, ifMatch: null },
+          files
+        });
+        entry.jobId = job.id;
+      }
+      console.log(`[import] ${req.user.username} queued ${prepared.length} of ${rows.length} row(s) from ${sidecarPath}`);
+    }
+
+    res.status(dryRun || prepared.length === 0 ? 200 : 202).json({
+      ok: true,
+      dryRun,
+      directory,
+      sidecar: path.basename(sidecarPath),
+      summary: {
+        rows: rows.length,
+        ready: prepared.length,
+        invalid: rows.length - prepared.length,
+        queued: dryRun ? 0 : prepared.length
+      },
+      rows: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+app.get('/api/frequencies/suggestions', auth.requireAuth(), async (req, res) => {
+  const near = parseFrequency(req.query.near);
+  const exclude = sanitizeId(req.query.exclude);
+  const count = Math.max(1, Math.min(20, Number.parseInt(req.query.count, 10) || 5));
+
+  try {
+    const during = {
+      publishAt: parseScheduleInput(req.query.publishAt, 'publishAt') ?? undefined,
+      expireAt: parseScheduleInput(req.query.expireAt, 'expireAt') ?? undefined
+    };
+    const stations = await readAllStations();
+    const { collisions, nearby } =
+      near === null ? { collisions: [], nearby: [] } : frequencyNeighbours(stations, near, { ignoreId: exclude, during });
+    res.json({
+      ok: true,
+      range: { min: FM_MIN, max: FM_MAX },
+      near,
+      collisions: collisions.map(stationSummary),
+      nearby: nearby.map(stationSummary),
+      suggestions: suggestFrequencies(stations, { near, count, ignoreId: exclude, during })
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs', auth.requireAuth(), (req, res) => {
+  const jobs = ingestQueue.list({ owner: req.user.role === 'admin' ? undefined : req.user.username });
+  res.json({ ok: true, jobs: jobs.map(publicJob) });
+});
+
+app.get('/api/jobs/:id', auth.requireAuth(), (req, res) => {
+  const job = ingestQueue.get(String(req.params.id || ''));
+  if (!job || !canViewJob(req.user, job)) {
+    res.status(404).json({ error: 'Job not found.' });
+    return;
+  }
+  res.json({ ok: true, job: publicJob(job) });
+});
+
+app.patch('/api/stations/:id', auth.requireAuth(), async (req, res) => {
+  const stationId = sanitizeId(req.params.id);
+  if (req.body?.owner !== undefined && req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Only admins can reassign station owners.' });
+    return;
+  }
+  const { patch, error: patchError } = buildStationPatch(req.body);
+  if (patchError) {
+    res.status(400).json({ error: patchError });
+    return;
+  }
+
+  try {
+    let warnings = [];
+    const { saved, station: updatedStation } = await saveStation(stationId, (existingStation, otherStations) => {
+      if (!existingStation) {
+        throw httpError(404, `Station not found: ${stationId}`);
+      }
+      if (!canEditStation(req.user, existingStation)) {
+        throw httpError(403, `Station ${stationId} belongs to another host.`);
+      }
+
+      const nextStation = applyStationPatch(existingStation, patch);
+      const stationErrors = stationValidationErrors(nextStation);
+      if (stationErrors.length > 0) {
+        throw httpError(400, `Invalid station: ${stationErrors.join('; ')}`);
+      }
+      if (patch.frequency !== undefined || patch.publishAt !== undefined || patch.expireAt !== undefined) {
+        const conflictError = frequencyConflictError(otherStations, nextStation.frequency, stationId, nextStation);
+        if (conflictError) {
+          throw conflictError;
+        }
+        warnings = frequencyWarnings(otherStations, nextStation.frequency, stationId, nextStation);
+      }
+      return nextStation;
+    }, { ifMatch: req.get('If-Match'), actor: req.user.username, action: 'edit-station' });
+
+    res.setHeader('ETag', saved.etag);
+    res.json({ ok: true, station: updatedStation, revision: saved.revision, warnings });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+// The ETag here is the draft store's, for If-Match on edits to the draft.
+app.get('/api/stations/:id/preview', auth.requireAuth(), async (req, res) => {
+  const stationId = sanitizeId(req.params.id);
+  try {
+    const located = await findStoredStation(stationId);
+    if (!located) {
+      throw httpError(404, `Station not found: ${stationId}`);
+    }
+    if (!canEditStation(req.user, located.station)) {
+      throw httpError(403, `Station ${stationId} belongs to another host.`);
+    }
+    if (!isStationDraft(located.station)) {
+      throw httpError(409, `Station ${stationId} is already published.`);
+    }
+    const { etag } = await draftStore.read();
+    res.setHeader('ETag', etag);
+    res.json({ ok: true, station: located.station, preview: stationPreviewLink(located.station) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// The only way a draft reaches stations.json. If-Match is the manifest's.
+app.post('/api/stations/:id/publish', auth.requireAuth(), async (req, res) => {
+  const stationId = sanitizeId(req.params.id);
+  try {
+    const { saved, station: publishedStation } = await saveStation(stationId, (existingStation, otherStations) => {
+      if (!existingStation) {
+        throw httpError(404, `Station not found: ${stationId}`);
+      }
+      if (!canEditStation(req.user, existingStation)) {
+        throw httpError(403, `Station ${stationId} belongs to another host.`);
+      }
+      if (!isStationDraft(existingStation)) {
+        throw httpError(409, `Station ${stationId} is already published.`);
+      }
+      const conflictError = frequencyConflictError(otherStations, existingStation.frequency, stationId, existingStation);
+      if (conflictError) {
+        throw conflictError;
+      }
+      return omitFields(existingStation, ['status']);
+    }, { ifMatch: req.get('If-Match'), actor: req.user.username, action: 'publish-station' });
+
+    console.log(`[stations] ${req.user.username} published ${stationId}`);
+    res.setHeader('ETag', saved.etag);
+    res.json({ ok: true, station: publishedStation, revision: saved.revision });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+// Public: the signed token is the access check. The link keeps working once
+// the station is published, so a shared preview lands on the live station.
+app.get('/api/preview/:token', async (req, res) => {
+  const stationId = auth.readPreviewToken(req.params.token);
+  try {
+    const located = stationId ? await findStoredStation(stationId) : null;
+    if (!located) {
+      res.status(404).json({ error: 'This preview link is invalid or has expired.' });
+      return;
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, station: located.station });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/stations/:id', auth.requireAuth('admin'), async (req, res) => {
+  const stationId = sanitizeId(req.params.id);
+  const archive = String(req.query?.purge || '') !== '1';
+
+  try {
+    let removedStation = null;
+    const saved = await withStationLock(async () => {
+      const located = await findStoredStation(stationId);
+      if (!located) {
+        throw httpError(404, `Station not found: ${stationId}`);
+      }
+      removedStation = located.station;
+      return located.store.update((manifest) => ({
+        ...manifest,
+        stations: sortStationsByFrequency(manifestStations(manifest).filter((station) => station.id !== stationId))
+      }), { ifMatch: req.get('If-Match'), actor: req.user.username, action: 'delete-station' });
+    });
+
+    const media = await removeStationMedia(removedStation, { archive, remainingStations: await readAllStations() });
+    console.log(`[stations] ${req.user.username} removed ${stationId} (${archive ? 'archived' : 'purged'} ${media.files.length} files)`);
+    res.setHeader('ETag', saved.etag);
+    res.json({ ok: true, station: removedStation, archived: archive, revision: saved.revision, ...media });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+});
+
+function parseRevisionParam(value) {
+  const revision = Number.parseInt(String(value || ''), 10);
+  if (!Number.isFinite(revision) || revision < 0 || String(revision) !== String(value).trim()) {
+    throw httpError(400, `Invalid revision: ${value}`);
+  }
+  return revision;
+}
+
+// A deleted station's media is archived rather than collected, so restoring a
+// revision from before the delete moves it back. Media the restore would bring
+// back that can't be found fails it before the manifest is touched.
+async function recoverRevisionMedia(stations, currentStations) {
+  const archives = await fs.readdir(archiveDir).catch(() => []);
+  const inUse = referencedMediaUrls(currentStations);
+  const moves = [];
+  const missing = [];
+  for (const url of referencedMediaUrls(stations)) {
+    const filePath = resolvePublicMediaPath(url);
+    if (!filePath || inUse.has(url) || (await fs.stat(filePath).then(() => true, () => false))) {
+      continue;
+    }
+    const relativePath = path.relative(repoRoot, filePath);
+    let archivedPath = null;
+    for (const name of archives) {
+      const candidate = path.join(archiveDir, name, relativePath);
+      if (await fs.stat(candidate).then(() => true, () => false)) {
+        archivedPath = candidate;
+        break;
+      }
+    }
+    if (archivedPath) {
+      moves.push({ from: archivedPath, to: filePath });
+    } else {
+      missing.push(url);
+    }
+  }
+
+  if (missing.length > 0) {
+    const error = httpError(409, `Revision media is no longer available: ${missing.join(', ')}`);
+    error.details = { missingMedia: missing };
+    throw error;
+  }
+  for (const { from, to } of moves) {
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    await moveFile(from, to);
+  }
+  return moves.map(({ to }) => path.relative(repoRoot, to));
+}
+
+app.get('/api/manifest/revisions', auth.requireAuth('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, Number.parseInt(String(req.query?.limit || ''), 10) || 50));
+    const before = req.query?.before !== undefined ? parseRevisionParam(req.query.before) : Infinity;
+    const [{ revision, etag }, revisions] = await Promise.all([manifestStore.read(), manifestHistory.list({ limit, before })]);
+    res.setHeader('ETag', etag);
+    res.json({ ok: true, revision, revisions });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/manifest/revisions/:revision', auth.requireAuth('admin'), async (req, res) => {
+  try {
+    const snapshot = await manifestHistory.read(parseRevisionParam(req.params.revision));
+    if (!snapshot) {
+      throw httpError(404, `Revision ${req.params.revision} is not retained.`);
+    }
+    res.json({ ok: true, ...snapshot });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Rolling back writes the old manifest as a new revision, so the restore is
+// itself in the history and can be undone.
+app.post('/api/manifest/revisions/:revision/restore', auth.requireAuth('admin'), async (req, res) => {
+  try {
+    const revision = parseRevisionParam(req.params.revision);
+    const snapshot = await manifestHistory.read(revision);
+    if (!snapshot) {
+      throw httpError(404, `Revision ${revision} is not retained.`);
+    }
+    const restored = migrateManifest(snapshot.manifest);
+    const recoveredMedia = await recoverRevisionMedia(manifestStations(restored), await readAllStations());
+
+    let replacedStations = [];
+    const saved = await withStationLock(async () => {
+      const written = await manifestStore.update((manifest) => {
+        replacedStations = manifestStations(manifest);
+        return { ...restored, stations: sortStationsByFrequency(manifestStations(restored).filter((station) => !isStationDraft(station))) };
+      }, { ifMatch: req.get('If-Match'), actor: req.user.username, action: 'restore', restoredFrom: revision });
+      await keepDrafts(manifestStations(restored), { actor: req.user.username, action: 'restore' });
+      return written;
+    });
+
+    const restoredUrls = referencedMediaUrls(await readAllStations());
+    scheduleMediaCollection(replacedStations.flatMap(stationMediaUrls).filter((url) => !restoredUrls.has(url)));
+    console.log(`[history] ${req.user.username} restored revision ${revision} as ${saved.revision}`);
+    res.setHeader('ETag', saved.etag);
+    res.json({ ok: true, revision: saved.revision, restoredFrom: revision, recoveredMedia });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
   }
 });
 
@@ -539,7 +1865,44 @@ setInterval(() => {
     pruneStationListeners(stationKey, now);
   }
 }, 10000).unref();
+setInterval(() => {
+  sampleListenerStats().catch((error) => console.warn(`[listeners] unable to record stats: ${error.message}`));
+}, LISTENER_SAMPLE_MS).unref();
+setInterval(() => {
+  listenerStats.prune().catch((error) => console.warn(`[listeners] stats pruning failed: ${error.message}`));
+}, LISTENER_STATS_PRUNE_MS).unref();
+setInterval(() => {
+  uploadStore.sweepExpired().catch((error) => console.warn(`[uploads] expiry sweep failed: ${error.message}`));
+}, UPLOAD_SWEEP_MS).unref();
+setInterval(() => {
+  ingestQueue.sweepExpired().catch((error) => console.warn(`[jobs] retention sweep failed: ${error.message}`));
+}, JOB_SWEEP_MS).unref();
 
-app.listen(port, () => {
+app.listen(port, async () => {
   console.log(`offley admin API listening on http://localhost:${port}`);
+  try {
+    await moveDraftsOutOfManifest();
+  } catch (error) {
+    console.error(`[drafts] unable to move drafts out of the manifest: ${error.message}`);
+  }
+  try {
+    await ingestQueue.start();
+  } catch (error) {
+    console.error(`[jobs] unable to start ingest queue: ${error.message}`);
+  }
+  try {
+    await uploadStore.start();
+  } catch (error) {
+    console.error(`[uploads] unable to load resumable uploads: ${error.message}`);
+  }
+  listenerStats.prune().catch((error) => console.warn(`[listeners] stats pruning failed: ${error.message}`));
+  try {
+    await manifestEvents.start();
+  } catch (error) {
+    console.error(`[manifest-events] unable to start the manifest channel: ${error.message}`);
+  }
+  const users = await readUsers(usersFile).catch(() => []);
+  if (users.length === 0 && !process.env.ADMIN_API_TOKEN) {
+    console.warn(`[auth] no admin users in ${path.relative(repoRoot, usersFile)}; run \`npm run admin-user -- add <username> admin\` to create one.`);
+  }
 });
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const ROLES = ['admin', 'host'];
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const PREVIEW_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SCRYPT_KEY_LENGTH = 64;
+const LOGIN_FAILURE_LIMIT = 10;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const aBuffer = Buffer.from(String(a));
+  const bBuffer = Buffer.from(String(b));
+  return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(derivedKey);
+    });
+  });
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, expected] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const derivedKey = await scrypt(password, salt);
+  return safeEqual(derivedKey.toString('hex'), expected);
+}
+
+export async function readUsers(usersFile) {
+  try {
+    const raw = await fs.readFile(usersFile, 'utf8');
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed.users) ? parsed.users : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+export async function writeUsers(usersFile, users) {
+  await fs.writeFile(usersFile, `${JSON.stringify({ users }, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+}
+
+// Without ADMIN_SESSION_SECRET a generated secret is kept in secretFile, so
+// sessions and preview links survive a restart.
+function loadOrCreateSecret(secretFile) {
+  try {
+    const stored = readFileSync(secretFile, 'utf8').trim();
+    if (stored) {
+      return stored;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  mkdirSync(path.dirname(secretFile), { recursive: true });
+  writeFileSync(secretFile, `${secret}\n`, { encoding: 'utf8', mode: 0o600 });
+  console.log(`[auth] ADMIN_SESSION_SECRET is not set; generated one in ${secretFile}`);
+  return secret;
+}
+
+// Sessions carry the user's sessionVersion; the users file is checked on every
+// request, so removing a user, changing their role or bumping the version (the
+// admin-user script does on every save) ends their sessions at once.
+export function createAuth({ usersFile, sessionSecret, secretFile, apiToken }) {
+  const secret = sessionSecret || loadOrCreateSecret(secretFile);
+  const loginFailures = new Map();
+
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  function issueSession(user) {
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const payload = base64UrlEncode(
+      JSON.stringify({ sub: user.username, ver: user.sessionVersion || 0, exp: expiresAt })
+    );
+    return {
+      token: `${payload}.${sign(payload)}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: { username: user.username, role: user.role }
+    };
+  }
+
+  function readSessionToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) {
+      return null;
+    }
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims?.sub || !Number.isInteger(claims.ver) || !(claims.exp > Date.now())) {
+        return null;
+      }
+      return { username: claims.sub, version: claims.ver };
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  // Preview links carry a signed station id, so anyone holding one can load
+  // that draft without signing in. They share the session secret.
+  function issuePreviewToken(stationId) {
+    const expiresAt = Date.now() + PREVIEW_TTL_MS;
+    const payload = base64UrlEncode(JSON.stringify({ preview: stationId, exp: expiresAt }));
+    return {
+      token: `${payload}.${sign(payload)}`,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  function readPreviewToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) {
+      return null;
+    }
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return typeof claims?.preview === 'string' && claims.exp > Date.now() ? claims.preview : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  // Keyed on the client address and the username, so failures against one
+  // account from one address don't lock anyone else out.
+  function loginThrottleKey(clientAddress, username) {
+    return `${clientAddress || ''}\n${String(username || '').trim()}`;
+  }
+
+  // Failed sign-ins per client and username in a sliding window. Returns the
+  // seconds until that pair may try again, or 0.
+  function loginRetryAfter(clientAddress, username, now = Date.now()) {
+    const clientKey = loginThrottleKey(clientAddress, username);
+    for (const [key, failures] of loginFailures) {
+      const recent = failures.filter((time) => now - time < LOGIN_FAILURE_WINDOW_MS);
+      if (recent.length > 0) {
+        loginFailures.set(key, recent);
+      } else {
+        loginFailures.delete(key);
+      }
+    }
+    const failures = loginFailures.get(clientKey) || [];
+    if (failures.length < LOGIN_FAILURE_LIMIT) {
+      return 0;
+    }
+    return Math.ceil((failures[0] + LOGIN_FAILURE_WINDOW_MS - now) / 1000);
+  }
+
+  async function login(username, password, clientAddress) {
+    const clientKey = loginThrottleKey(clientAddress, username);
+    const users = await readUsers(usersFile);
+    const user = users.find((entry) => entry.username === String(username || '').trim());
+    if (!user || !ROLES.includes(user.role) || !(await verifyPassword(password, user.passwordHash))) {
+      loginFailures.set(clientKey, [...(loginFailures.get(clientKey) || []), Date.now()]);
+      return null;
+    }
+    loginFailures.delete(clientKey);
+    return issueSession(user);
+  }
+
+  async function resolveSessionUser(token) {
+    const session = readSessionToken(token);
+    if (!session) {
+      return null;
+    }
+    const users = await readUsers(usersFile);
+    const user = users.find((entry) => entry.username === session.username);
+    if (!user || !ROLES.includes(user.role) || (user.sessionVersion || 0) !== session.version) {
+      return null;
+    }
+    return { username: user.username, role: user.role };
+  }
+
+  async function resolveRequestUser(req) {
+    const header = String(req.headers.authorization || '');
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return null;
+    }
+    const token = match[1].trim();
+    if (apiToken && safeEqual(token, apiToken)) {
+      return { username: 'api-token', role: 'admin' };
+    }
+    return resolveSessionUser(token);
+  }
+
+  function requireAuth(...roles) {
+    const allowedRoles = roles.length > 0 ? roles : ROLES;
+    return async (req, res, next) => {
+      let user;
+      try {
+        user = await resolveRequestUser(req);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+        return;
+      }
+      if (!user) {
+        res.status(401).json({ error: 'Sign in required.' });
+        return;
+      }
+      if (!allowedRoles.includes(user.role)) {
+        res.status(403).json({ error: `Requires role: ${allowedRoles.join('/')}` });
+        return;
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  return {
+    issuePreviewToken,
+    login,
+    loginRetryAfter,
+    readPreviewToken,
+    requireAuth
+  };
+}
+
+export function canEditStation(user, station) {
+  if (!user) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    return true;
+  }
+  return Boolean(station?.owner) && station.owner === user.username;
+}
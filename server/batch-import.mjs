@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const IMPORT_AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.aiff', '.aif', '.m4a', '.ogg', '.opus'];
+export const IMPORT_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const TRACKLIST_EXTENSIONS = ['.cue', '.txt'];
+const DEFAULT_SIDECARS = ['stations.csv', 'stations.json'];
+const FIELD_ALIASES = {
+  latitude: 'lat',
+  longitude: 'lon',
+  lng: 'lon',
+  artwork: 'art',
+  image: 'art',
+  file: 'audio',
+  track: 'audio'
+};
+
+function importError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// RFC 4180: quoted cells may hold commas, newlines and doubled quotes.
+export function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = String(content || '').replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+  return records.map((cells) => Object.fromEntries(header.map((name, column) => [name, cells[column] ?? ''])));
+}
+
+function normalizeRow(raw) {
+  const row = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const name = String(key).trim().toLowerCase();
+    row[FIELD_ALIASES[name] || name] = typeof value === 'string' ? value.trim() : value;
+  }
+  // Spreadsheet cells can't hold an array, so `ambient; techno` is accepted too.
+  if (typeof row.tags === 'string' && !row.tags.startsWith('[')) {
+    row.tags = row.tags.replace(/[;|]/g, ',');
+  }
+  if (row.location && typeof row.location === 'object' && row.lat === undefined) {
+    row.lat = row.location.lat;
+    row.lon = row.location.lon;
+  }
+  return row;
+}
+
+async function findSidecar(directory, sidecar) {
+  if (sidecar) {
+    return resolveInside(directory, sidecar);
+  }
+  const entries = await fs.readdir(directory);
+  const named = DEFAULT_SIDECARS.find((name) => entries.includes(name));
+  if (named) {
+    return path.join(directory, named);
+  }
+  const candidates = entries.filter((name) => ['.csv', '.json'].includes(path.extname(name).toLowerCase()));
+  if (candidates.length === 1) {
+    return path.join(directory, candidates[0]);
+  }
+  throw importError(
+    400,
+    candidates.length === 0
+      ? `No CSV or JSON sidecar found in ${directory}.`
+      : `Several possible sidecars in ${directory} (${candidates.join(', ')}); name one with \`sidecar\`.`
+  );
+}
+
+function resolveInside(directory, name) {
+  const resolved = path.resolve(directory, String(name));
+  if (resolved !== directory && !resolved.startsWith(`${directory}${path.sep}`)) {
+    throw importError(400, `${name} is outside the import directory.`);
+  }
+  return resolved;
+}
+
+export async function readImportSidecar(directory, sidecar) {
+  const stats = await fs.stat(directory).catch(() => null);
+  if (!stats?.isDirectory()) {
+    throw importError(400, `${directory} is not a directory.`);
+  }
+
+  const sidecarPath = await findSidecar(directory, sidecar);
+  const content = await fs.readFile(sidecarPath, 'utf8').catch((error) => {
+    throw importError(400, `Unable to read ${path.basename(sidecarPath)}: ${error.message}`);
+  });
+
+  let rows;
+  if (path.extname(sidecarPath).toLowerCase() === '.json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw importError(400, `${path.basename(sidecarPath)} is not valid JSON: ${error.message}`);
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed?.stations;
+    if (!Array.isArray(rows)) {
+      throw importError(400, `${path.basename(sidecarPath)} must be an array of stations or { "stations": [...] }.`);
+    }
+  } else {
+    rows = parseCsv(content);
+  }
+
+  return { sidecarPath, rows: rows.map(normalizeRow) };
+}
+
+// Media named in the row wins; otherwise `<id>.<ext>` next to the sidecar is
+// used. Tracklists are optional: a `tracklist` cell naming a .cue/.txt file, or
+// `<id>.cue` when the cell is empty.
+export async function resolveImportMedia(directory, row, stationId) {
+  const entries = await fs.readdir(directory);
+  const errors = [];
+  const media = {};
+
+  for (const [field, extensions] of [['audio', IMPORT_AUDIO_EXTENSIONS], ['art', IMPORT_IMAGE_EXTENSIONS]]) {
+    let filePath = null;
+    if (row[field]) {
+      try {
+        filePath = resolveInside(directory, row[field]);
+      } catch (error) {
+        errors.push(error.message);
+        continue;
+      }
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (!stats?.isFile()) {
+        errors.push(`${field} file ${row[field]} not found.`);
+        continue;
+      }
+    } else {
+      const match = stationId
+        ? entries.find((name) => path.parse(name).name === stationId && extensions.includes(path.extname(name).toLowerCase()))
+        : null;
+      if (!match) {
+        errors.push(`No ${field} file given and none named ${stationId || '<id>'}.{${extensions.map((ext) => ext.slice(1)).join(',')}}.`);
+        continue;
+      }
+      filePath = path.join(directory, match);
+    }
+    media[field] = { path: filePath, originalname: path.basename(filePath) };
+  }
+
+  const tracklistCell = typeof row.tracklist === 'string' ? row.tracklist : '';
+  const namesFile = tracklistCell && !tracklistCell.includes('\n') && TRACKLIST_EXTENSIONS.includes(path.extname(tracklistCell).toLowerCase());
+  const cueName = !tracklistCell && stationId ? `${stationId}.cue` : null;
+  if (namesFile || (cueName && entries.includes(cueName))) {
+    try {
+      media.tracklistText = await fs.readFile(resolveInside(directory, namesFile ? tracklistCell : cueName), 'utf8');
+    } catch (error) {
+      errors.push(error.status ? error.message : `tracklist file ${tracklistCell || cueName} not found.`);
+    }
+  }
+
+  return { ...media, errors };
+}
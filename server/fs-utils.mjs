@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+export async function moveFile(fromPath, toPath) {
+  try {
+    await fs.rename(fromPath, toPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.cp(fromPath, toPath, { recursive: true });
+    await fs.rm(fromPath, { recursive: true, force: true });
+  }
+}
+
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const handle = await fs.open(filePath, 'r');
+  try {
+    for await (const chunk of handle.createReadStream()) {
+      hash.update(chunk);
+    }
+  } finally {
+    await handle.close().catch(() => {});
+  }
+  return hash.digest('hex');
+}
@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { moveFile, writeFileAtomic } from './fs-utils.mjs';
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed']);
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function publicJob(job) {
+  if (!job) {
+    return null;
+  }
+  const { files: _files, user: _user, ...rest } = job;
+  return rest;
+}
+
+export function createIngestQueue({ jobsDir, concurrency = 1, processJob }) {
+  const jobs = new Map();
+  const writeChains = new Map();
+  let running = 0;
+
+  function jobFilePath(jobId) {
+    return path.join(jobsDir, `${jobId}.json`);
+  }
+
+  function jobFilesDir(jobId) {
+    return path.join(jobsDir, jobId);
+  }
+
+  function persist(job) {
+    const snapshot = `${JSON.stringify(job, null, 2)}\n`;
+    const previous = writeChains.get(job.id) || Promise.resolve();
+    const next = previous
+      .then(() => writeFileAtomic(jobFilePath(job.id), snapshot))
+      .catch((error) => {
+        console.warn(`[jobs] unable to persist ${job.id}: ${error.message}`);
+      });
+    writeChains.set(job.id, next);
+    return next;
+  }
+
+  function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    return persist(job);
+  }
+
+  async function runJob(job) {
+    running += 1;
+    await updateJob(job, { status: 'running', startedAt: new Date().toISOString(), stage: 'Starting', error: null });
+
+    try {
+      const result = await processJob(job, {
+        progress(percent, stage) {
+          const parsed = Number.parseInt(percent, 10);
+          void updateJob(job, {
+            percent: Number.isFinite(parsed) ? Math.max(job.percent || 0, Math.min(100, parsed)) : job.percent,
+            stage: String(stage || '').trim() || job.stage
+          });
+        }
+      });
+      await updateJob(job, {
+        status: 'succeeded',
+        percent: 100,
+        stage: 'Done',
+        finishedAt: new Date().toISOString(),
+        result: result ?? null
+      });
+      console.log(`[jobs] ${job.id} succeeded`);
+    } catch (error) {
+      await updateJob(job, {
+        status: 'failed',
+        stage: 'Failed',
+        finishedAt: new Date().toISOString(),
+        error: error.message || 'Ingest failed.',
+        errorStatus: error.status || 500,
+        errorDetails: error.details || null
+      });
+      console.warn(`[jobs] ${job.id} failed: ${error.message}`);
+    } finally {
+      await fs.rm(jobFilesDir(job.id), { recursive: true, force: true }).catch(() => {});
+      running -= 1;
+      pump();
+    }
+  }
+
+  function pump() {
+    if (running >= concurrency) {
+      return;
+    }
+    const queued = [...jobs.values()]
+      .filter((job) => job.status === 'queued')
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    for (const job of queued.slice(0, concurrency - running)) {
+      void runJob(job);
+    }
+  }
+
+  async function pruneFinishedJob(job) {
+    jobs.delete(job.id);
+    await writeChains.get(job.id);
+    writeChains.delete(job.id);
+    await fs.unlink(jobFilePath(job.id)).catch(() => {});
+    await fs.rm(jobFilesDir(job.id), { recursive: true, force: true }).catch(() => {});
+  }
+
+  function isExpired(job, now) {
+    return FINISHED_STATUSES.has(job.status) && now - Date.parse(job.finishedAt || job.updatedAt || 0) > JOB_RETENTION_MS;
+  }
+
+  return {
+    async start() {
+      await fs.mkdir(jobsDir, { recursive: true });
+      const entries = await fs.readdir(jobsDir);
+
+      for (const entry of entries) {
+        if (!entry.endsWith('.json')) {
+          continue;
+        }
+        try {
+          const job = JSON.parse(await fs.readFile(path.join(jobsDir, entry), 'utf8'));
+          if (!job?.id) {
+            continue;
+          }
+          jobs.set(job.id, job);
+          if (FINISHED_STATUSES.has(job.status)) {
+            continue;
+          }
+          if (job.status === 'running') {
+            console.log(`[jobs] requeueing ${job.id} after restart`);
+            await updateJob(job, { status: 'queued', stage: 'Queued (resumed after restart)' });
+          }
+        } catch (error) {
+          console.warn(`[jobs] skipping unreadable job file ${entry}: ${error.message}`);
+        }
+      }
+
+      await this.sweepExpired();
+      pump();
+    },
+
+    // Drops finished jobs older than JOB_RETENTION_MS; the API runs this on a
+    // timer so a long-running server doesn't keep every job it has seen.
+    async sweepExpired(now = Date.now()) {
+      for (const job of [...jobs.values()].filter((entry) => isExpired(entry, now))) {
+        await pruneFinishedJob(job);
+      }
+    },
+
+    async enqueue({ type, user, input, files }) {
+      const id = crypto.randomUUID();
+      const filesDir = jobFilesDir(id);
+      await fs.mkdir(filesDir, { recursive: true });
+
+      const storedFiles = {};
+      const moved = [];
+      const now = new Date().toISOString();
+      const job = {
+        id,
+        type,
+        status: 'queued',
+        percent: 90,
+        stage: 'Queued',
+        owner: user?.username || null,
+        user,
+        input,
+        files: storedFiles,
+        createdAt: now,
+        updatedAt: now,
+        error: null,
+        result: null
+      };
+      try {
+        for (const [field, file] of Object.entries(files || {})) {
+          if (!file?.path) {
+            continue;
+          }
+          const ext = path.extname(file.originalname || '').toLowerCase();
+          const storedPath = path.join(filesDir, `${field}${ext}`);
+          await moveFile(file.path, storedPath);
+          moved.push({ from: file.path, to: storedPath });
+          storedFiles[field] = {
+            path: storedPath,
+            originalname: file.originalname || '',
+            size: file.size ?? null
+          };
+        }
+        await persist(job);
+      } catch (error) {
+        // The inputs go back where they came from, so the caller still has them.
+        for (const { from, to } of moved) {
+          await moveFile(to, from).catch(() => {});
+        }
+        await fs.rm(filesDir, { recursive: true, force: true });
+        throw error;
+      }
+      jobs.set(id, job);
+      pump();
+      return job;
+    },
+
+    get(jobId) {
+      return jobs.get(jobId) || null;
+    },
+
+    list({ owner } = {}) {
+      return [...jobs.values()]
+        .filter((job) => !owner || job.owner === owner)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import { openEventStream, startKeepalive, writeEvent } from './sse.mjs';
+
+// Pushes listener counts as they change, keyed like the heartbeats
+// (`94.30MHz`). A client subscribes to every station, or to a few with
+// `?station=94.30MHz,101.30MHz`. It gets a `snapshot` of the current counts on
+// connect, then a `listeners` event per change.
+export function createListenerEvents({ streamLimiter = null } = {}) {
+  const counts = new Map();
+  const clients = new Map();
+
+  startKeepalive(() => clients.keys());
+
+  return {
+    publish(stationKey, listeners) {
+      if ((counts.get(stationKey) ?? 0) === listeners) {
+        return;
+      }
+      if (listeners > 0) {
+        counts.set(stationKey, listeners);
+      } else {
+        counts.delete(stationKey);
+      }
+      for (const [res, stations] of clients) {
+        if (!stations || stations.has(stationKey)) {
+          writeEvent(res, 'listeners', { station: stationKey, listeners });
+        }
+      }
+    },
+
+    handle(req, res, { stations = null } = {}) {
+      if (streamLimiter && !streamLimiter.admit(req, res)) {
+        return;
+      }
+      openEventStream(res);
+      clients.set(res, stations);
+      const snapshot = [...counts].filter(([stationKey]) => !stations || stations.has(stationKey));
+      writeEvent(res, 'snapshot', { counts: Object.fromEntries(snapshot) });
+      req.on('close', () => clients.delete(res));
+    }
+  };
+}
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const LISTENER_SAMPLE_MS = 60 * 1000;
+export const LISTENER_STATS_RETENTION_DAYS = 400;
+export const LISTENER_STATS_MAX_BUCKETS = 1000;
+const DEFAULT_RETENTION_DAYS = Math.max(
+  1,
+  Number.parseInt(process.env.LISTENER_STATS_RETENTION_DAYS || '', 10) || LISTENER_STATS_RETENTION_DAYS
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_SIZES_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000, DAY_MS];
+const TARGET_BUCKETS = 200;
+const DURATION_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+const DAY_FILE_PATTERN = /^listeners-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// `90` (seconds), `30s`, `15m`, `1h` or `1d`.
+export function parseStatsDuration(rawValue) {
+  const match = String(rawValue ?? '').trim().toLowerCase().match(/^(\d+)([smhd])?$/);
+  if (!match) {
+    return null;
+  }
+  const duration = Number(match[1]) * DURATION_UNITS_MS[match[2] || 's'];
+  return duration > 0 ? duration : null;
+}
+
+// The smallest bucket that keeps a chart to about 200 points.
+export function defaultBucketMs(from, to) {
+  return BUCKET_SIZES_MS.find((size) => (to - from) / size <= TARGET_BUCKETS) ?? BUCKET_SIZES_MS[BUCKET_SIZES_MS.length - 1];
+}
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+// One append-only JSONL file per UTC day. Each line is a sample of every
+// station's listener count, `{"t":<ms>,"counts":{"eves":3}}`. Stations missing
+// from a line had no listeners at that moment; a gap between lines means the
+// API wasn't running, so those buckets report no samples rather than zero.
+export function createListenerStats({ statsDir, retentionDays = DEFAULT_RETENTION_DAYS }) {
+  const dayPath = (day) => path.join(statsDir, `listeners-${day}.jsonl`);
+
+  async function readDay(day) {
+    const content = await fs.readFile(dayPath(day), 'utf8').catch((error) => {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+      throw error;
+    });
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          const sample = JSON.parse(line);
+          return Number.isFinite(sample?.t) ? [sample] : [];
+        } catch (_error) {
+          return [];
+        }
+      });
+  }
+
+  return {
+    async record(counts, at = Date.now()) {
+      const listening = Object.fromEntries(Object.entries(counts).filter(([, count]) => count > 0));
+      await fs.mkdir(statsDir, { recursive: true });
+      await fs.appendFile(dayPath(dayKey(at)), `${JSON.stringify({ t: at, counts: listening })}\n`);
+    },
+
+    // Peak and average listeners per bucket for one station, or for every
+    // station heard in the range, busiest first. Buckets are aligned to
+    // multiples of bucketMs, so hourly buckets start on the hour.
+    async query({ station = null, from, to, bucketMs }) {
+      const start = Math.floor(from / bucketMs) * bucketMs;
+      const bucketCount = Math.max(1, Math.ceil((to - start) / bucketMs));
+      const samplesPerBucket = new Array(bucketCount).fill(0);
+      const totals = new Map();
+      const stationTotals = (id) => {
+        if (!totals.has(id)) {
+          totals.set(id, Array.from({ length: bucketCount }, () => ({ peak: 0, sum: 0 })));
+        }
+        return totals.get(id);
+      };
+      if (station) {
+        stationTotals(station);
+      }
+
+      for (let day = Math.floor(from / DAY_MS) * DAY_MS; day < to; day += DAY_MS) {
+        for (const sample of await readDay(dayKey(day))) {
+          if (sample.t < from || sample.t >= to) {
+            continue;
+          }
+          const index = Math.floor((sample.t - start) / bucketMs);
+          samplesPerBucket[index] += 1;
+          for (const [id, count] of Object.entries(sample.counts || {})) {
+            if ((station && id !== station) || !Number.isFinite(count)) {
+              continue;
+            }
+            const bucket = stationTotals(id)[index];
+            bucket.peak = Math.max(bucket.peak, count);
+            bucket.sum += count;
+          }
+        }
+      }
+
+      const sampleCount = samplesPerBucket.reduce((total, samples) => total + samples, 0);
+      return [...totals.entries()]
+        .map(([id, buckets]) => {
+          const sum = buckets.reduce((total, bucket) => total + bucket.sum, 0);
+          return {
+            station: id,
+            peak: sampleCount > 0 ? Math.max(...buckets.map((bucket) => bucket.peak)) : null,
+            average: sampleCount > 0 ? round(sum / sampleCount) : null,
+            buckets: buckets.map((bucket, index) => {
+              const samples = samplesPerBucket[index];
+              return {
+                start: new Date(start + index * bucketMs).toISOString(),
+                peak: samples > 0 ? bucket.peak : null,
+                average: samples > 0 ? round(bucket.sum / samples) : null,
+                samples
+              };
+            })
+          };
+        })
+        .sort((a, b) => (b.average ?? 0) - (a.average ?? 0) || a.station.localeCompare(b.station));
+    },
+
+    async prune(now = Date.now()) {
+      const oldestKept = dayKey(now - retentionDays * DAY_MS);
+      const names = await fs.readdir(statsDir).catch(() => []);
+      for (const name of names) {
+        const match = name.match(DAY_FILE_PATTERN);
+        if (match && match[1] < oldestKept) {
+          await fs.rm(path.join(statsDir, name), { force: true });
+        }
+      }
+    }
+  };
+}
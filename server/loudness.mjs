@@ -0,0 +1,54 @@
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { gainDbForLoudness } from '../src/loudness.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const repoRoot = path.resolve(path.dirname(__filename), '..');
+const measureLoudnessScript = path.join(repoRoot, 'scripts', 'measure-loudness.sh');
+
+function parseMeasurement(value) {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? Number(parsed.toFixed(1)) : null;
+}
+
+export async function measureLoudness(trackPath) {
+  const payload = await new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    const child = spawn(measureLoudnessScript, [trackPath], {
+      cwd: repoRoot,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (code === 0) {
+        resolve(stdout.trim());
+        return;
+      }
+      reject(new Error(stderr.trim() || stdout.trim() || `Loudness measurement failed (${code})`));
+    });
+  });
+
+  const parsed = JSON.parse(payload);
+  const loudness = {
+    integratedLufs: parseMeasurement(parsed?.input_i),
+    truePeakDb: parseMeasurement(parsed?.input_tp),
+    rangeLu: parseMeasurement(parsed?.input_lra)
+  };
+  if (loudness.integratedLufs === null) {
+    throw new Error('Loudness measurement returned no integrated loudness.');
+  }
+  return {
+    loudness,
+    gainDb: gainDbForLoudness(loudness)
+  };
+}
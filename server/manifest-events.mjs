@@ -0,0 +1,58 @@
+import { watchFile } from 'fs';
+import { openEventStream, startKeepalive, writeEvent } from './sse.mjs';
+
+const WATCH_INTERVAL_MS = 1000;
+
+// Server-Sent Events channel that announces each manifest revision. It watches
+// the file rather than hooking the store, so writes from the CLI scripts are
+// announced too. Events are only a hint: clients refetch the manifest itself.
+export function createManifestEvents({ manifestStore, manifestPath, streamLimiter = null }) {
+  const clients = new Set();
+  let current = null;
+
+  function broadcast() {
+    for (const res of clients) {
+      writeEvent(res, 'manifest', current);
+    }
+  }
+
+  async function check() {
+    const { revision, etag } = await manifestStore.read();
+    if (current?.etag === etag) {
+      return;
+    }
+    const isFirstRead = current === null;
+    current = { revision, etag };
+    if (!isFirstRead) {
+      broadcast();
+    }
+  }
+
+  function handleCheckError(error) {
+    console.warn(`[manifest-events] unable to read manifest: ${error.message}`);
+  }
+
+  return {
+    async start() {
+      await check().catch(handleCheckError);
+      watchFile(manifestPath, { interval: WATCH_INTERVAL_MS, persistent: false }, () => {
+        check().catch(handleCheckError);
+      });
+      startKeepalive(() => clients);
+    },
+
+    // The current revision goes out on connect, so a client that reconnects
+    // after missing an announcement still notices the change.
+    handle(req, res) {
+      if (streamLimiter && !streamLimiter.admit(req, res)) {
+        return;
+      }
+      openEventStream(res);
+      clients.add(res);
+      if (current) {
+        writeEvent(res, 'manifest', current);
+      }
+      req.on('close', () => clients.delete(res));
+    }
+  };
+}
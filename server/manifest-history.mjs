@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './fs-utils.mjs';
+
+export const MANIFEST_HISTORY_LIMIT = 100;
+const DEFAULT_LIMIT = Math.max(1, Number.parseInt(process.env.MANIFEST_HISTORY_LIMIT || '', 10) || MANIFEST_HISTORY_LIMIT);
+const AUDIT_FILE = 'audit.jsonl';
+const SUMMARY_FIELD_LIMIT = 6;
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function stationsOf(manifest) {
+  return Array.isArray(manifest?.stations) ? manifest.stations : [];
+}
+
+// Station-level diff: added/removed stations, and for changed ones each field's
+// before and after. Top-level manifest fields (bar `revision`) are diffed too.
+export function diffManifests(previous, next) {
+  const changes = [];
+  const before = new Map(stationsOf(previous).map((station) => [station.id, station]));
+  const after = new Map(stationsOf(next).map((station) => [station.id, station]));
+
+  for (const [id, station] of after) {
+    const old = before.get(id);
+    if (!old) {
+      changes.push({ id, type: 'added', station });
+      continue;
+    }
+    const fields = {};
+    for (const key of new Set([...Object.keys(old), ...Object.keys(station)])) {
+      if (!isSameValue(old[key], station[key])) {
+        fields[key] = { from: old[key] ?? null, to: station[key] ?? null };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      changes.push({ id, type: 'changed', fields });
+    }
+  }
+  for (const [id, station] of before) {
+    if (!after.has(id)) {
+      changes.push({ id, type: 'removed', station });
+    }
+  }
+
+  const manifestFields = {};
+  for (const key of new Set([...Object.keys(previous || {}), ...Object.keys(next || {})])) {
+    if (key !== 'stations' && key !== 'revision' && !isSameValue(previous?.[key], next?.[key])) {
+      manifestFields[key] = { from: previous?.[key] ?? null, to: next?.[key] ?? null };
+    }
+  }
+  if (Object.keys(manifestFields).length > 0) {
+    changes.push({ id: null, type: 'manifest', fields: manifestFields });
+  }
+  return changes;
+}
+
+export function summarizeChanges(changes) {
+  if (changes.length === 0) {
+    return 'no changes';
+  }
+  return changes
+    .map((change) => {
+      if (change.type !== 'changed' && change.type !== 'manifest') {
+        return `${change.type} ${change.id}`;
+      }
+      const fields = Object.keys(change.fields);
+      const listed = fields.slice(0, SUMMARY_FIELD_LIMIT).join(', ');
+      const more = fields.length > SUMMARY_FIELD_LIMIT ? ` +${fields.length - SUMMARY_FIELD_LIMIT} more` : '';
+      return `${change.type === 'manifest' ? 'changed manifest' : `changed ${change.id}`} (${listed}${more})`;
+    })
+    .join('; ');
+}
+
+// Every manifest write appends an audit line (who, when, what changed) and keeps
+// a full snapshot of the written manifest. Only the newest `limit` snapshots
+// (MANIFEST_HISTORY_LIMIT, default 100) are kept, so older revisions stay in
+// the log but can't be restored.
+export function createManifestHistory({ historyDir, limit = DEFAULT_LIMIT }) {
+  const revisionsDir = path.join(historyDir, 'revisions');
+  const auditPath = path.join(historyDir, AUDIT_FILE);
+
+  const snapshotPath = (revision) => path.join(revisionsDir, `${revision}.json`);
+
+  async function snapshotRevisions() {
+    const names = await fs.readdir(revisionsDir).catch(() => []);
+    return names
+      .map((name) => Number.parseInt(path.basename(name, '.json'), 10))
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+  }
+
+  async function writeEntry(entry, manifest) {
+    await fs.mkdir(revisionsDir, { recursive: true });
+    await writeFileAtomic(snapshotPath(entry.revision), `${JSON.stringify({ ...entry, manifest })}\n`);
+    await fs.appendFile(auditPath, `${JSON.stringify(entry)}\n`);
+  }
+
+  async function prune() {
+    const revisions = await snapshotRevisions();
+    for (const revision of revisions.slice(0, Math.max(0, revisions.length - limit))) {
+      await fs.rm(snapshotPath(revision), { force: true });
+    }
+  }
+
+  async function readSnapshot(revision) {
+    try {
+      return JSON.parse(await fs.readFile(snapshotPath(revision), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function readAudit() {
+    const content = await fs.readFile(auditPath, 'utf8').catch((error) => {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+      throw error;
+    });
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (_error) {
+          return [];
+        }
+      });
+  }
+
+  return {
+    // The state before the first recorded write becomes a baseline entry so
+    // that write can be undone too.
+    async record({ previous, next, actor = null, action = 'update', restoredFrom }) {
+      const hasAudit = await fs.stat(auditPath).then(() => true, () => false);
+      if (!hasAudit) {
+        await writeEntry(
+          {
+            revision: previous.revision,
+            at: new Date().toISOString(),
+            actor: null,
+            action: 'baseline',
+            summary: 'state before history was recorded',
+            changes: []
+          },
+          previous.manifest
+        );
+      }
+
+      const changes = diffManifests(previous.manifest, next.manifest);
+      const entry = {
+        revision: next.revision,
+        at: new Date().toISOString(),
+        actor,
+        action,
+        summary: summarizeChanges(changes),
+        changes
+      };
+      if (restoredFrom !== undefined) {
+        entry.restoredFrom = restoredFrom;
+      }
+      await writeEntry(entry, next.manifest);
+      await prune();
+      return entry;
+    },
+
+    // Newest first; `before` pages back through older revisions.
+    async list({ limit: pageSize = 50, before = Infinity } = {}) {
+      const restorable = new Set(await snapshotRevisions());
+      return (await readAudit())
+        .filter((entry) => entry.revision < before)
+        .slice(-pageSize)
+        .reverse()
+        .map((entry) => ({ ...entry, restorable: restorable.has(entry.revision) }));
+    },
+
+    read(revision) {
+      return readSnapshot(revision);
+    },
+
+    // Stations from every restorable snapshot, so media collection can keep
+    // what a rollback would need.
+    async retainedStations() {
+      const stations = [];
+      for (const revision of await snapshotRevisions()) {
+        const snapshot = await readSnapshot(revision).catch(() => null);
+        stations.push(...stationsOf(snapshot?.manifest));
+      }
+      return stations;
+    }
+  };
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './fs-utils.mjs';
+
+function serializeManifest(manifest) {
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+function etagForContent(content) {
+  return `"${crypto.createHash('sha1').update(content).digest('hex').slice(0, 20)}"`;
+}
+
+export function normalizeEtag(value) {
+  const source = String(value || '').trim().replace(/^W\//, '');
+  if (!source || source === '*') {
+    return source || null;
+  }
+  return source.startsWith('"') ? source : `"${source}"`;
+}
+
+// With `initial`, a missing file reads as that manifest and is created on the
+// first write.
+export function createManifestStore({ manifestPath, migrate = (manifest) => manifest, validate = () => [], history = null, initial = null }) {
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readContent() {
+    try {
+      return await fs.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && initial) {
+        return serializeManifest(initial);
+      }
+      throw error;
+    }
+  }
+
+  async function readSnapshot() {
+    const content = await readContent();
+    const manifest = migrate(JSON.parse(content));
+    const revision = Number.parseInt(manifest?.revision, 10);
+    return {
+      manifest,
+      etag: etagForContent(content),
+      revision: Number.isFinite(revision) ? revision : 0
+    };
+  }
+
+  return {
+    read() {
+      return readSnapshot();
+    },
+
+    // The mutator receives a fresh copy of the manifest and returns the next
+    // manifest, or null to leave the file untouched. Mutations run one at a time.
+    // `actor` and `action` (plus `restoredFrom` for rollbacks) go to the history.
+    update(mutator, { ifMatch, actor = null, action = 'update', restoredFrom } = {}) {
+      return enqueue(async () => {
+        const current = await readSnapshot();
+        const expected = normalizeEtag(ifMatch);
+        if (expected && expected !== '*' && expected !== current.etag) {
+          const error = new Error('Manifest has changed since it was read. Reload and try again.');
+          error.status = 412;
+          error.etag = current.etag;
+          throw error;
+        }
+
+        const nextManifest = await mutator(structuredClone(current.manifest), current);
+        if (!nextManifest) {
+          return { ...current, changed: false };
+        }
+
+        const revision = current.revision + 1;
+        const candidate = { ...nextManifest, revision };
+        const errors = validate(candidate);
+        if (errors.length > 0) {
+          const error = new Error(`Refusing to write an invalid manifest: ${errors.join('; ')}`);
+          error.status = 422;
+          error.details = { validationErrors: errors };
+          throw error;
+        }
+
+        const content = serializeManifest(candidate);
+        await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+        await writeFileAtomic(manifestPath, content);
+        const saved = {
+          manifest: JSON.parse(content),
+          etag: etagForContent(content),
+          revision,
+          changed: true
+        };
+        if (history) {
+          // The write has landed; a history failure shouldn't report it as failed.
+          try {
+            await history.record({ previous: current, next: saved, actor, action, restoredFrom });
+          } catch (error) {
+            console.warn(`[history] unable to record revision ${revision}: ${error.message}`);
+          }
+        }
+        return saved;
+      });
+    }
+  };
+}
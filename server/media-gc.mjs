@@ -0,0 +1,95 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { stationRenditions } from '../src/audioRenditions.js';
+
+export const MEDIA_HASH_LENGTH = 12;
+const COLLECTED_MEDIA_DIRS = ['audio', 'hls', 'artwork', 'peaks'];
+const UNCOLLECTED_AUDIO_DIRS = new Set(['original']);
+
+export function mediaKey(stationId, hash) {
+  return `${stationId}-${String(hash).slice(0, MEDIA_HASH_LENGTH)}`;
+}
+
+// HLS playlists and artwork variants are owned as whole directories.
+export function stationMediaUrls(station) {
+  const urls = [
+    ...stationRenditions(station).map((rendition) => rendition.url),
+    station?.art,
+    station?.peaks,
+    station?.hls?.playlist ? path.posix.dirname(station.hls.playlist) : null,
+    ...Object.values(station?.artwork || {}).flatMap((variant) => Object.values(variant || {}).map((url) => path.posix.dirname(url)))
+  ];
+  return [...new Set(urls.filter((url) => typeof url === 'string' && url.startsWith('/media/')))];
+}
+
+export function referencedMediaUrls(stations) {
+  return new Set((Array.isArray(stations) ? stations : []).flatMap(stationMediaUrls));
+}
+
+export function mediaUrlPath(publicDir, url) {
+  const resolved = path.resolve(publicDir, `.${url}`);
+  return resolved.startsWith(`${path.join(publicDir, 'media')}${path.sep}`) ? resolved : null;
+}
+
+async function listCollectableMedia(publicDir) {
+  const mediaRoot = path.join(publicDir, 'media');
+  const entries = [];
+  const addDirEntries = async (relativeDir) => {
+    const names = await fs.readdir(path.join(mediaRoot, relativeDir)).catch(() => []);
+    for (const name of names) {
+      if (!name.startsWith('.')) {
+        entries.push(`/media/${relativeDir}/${name}`);
+      }
+    }
+  };
+
+  for (const dir of COLLECTED_MEDIA_DIRS) {
+    if (dir !== 'audio') {
+      await addDirEntries(dir);
+      continue;
+    }
+    const bitrateDirs = await fs.readdir(path.join(mediaRoot, 'audio'), { withFileTypes: true }).catch(() => []);
+    for (const entry of bitrateDirs) {
+      if (entry.isDirectory() && !UNCOLLECTED_AUDIO_DIRS.has(entry.name)) {
+        await addDirEntries(`audio/${entry.name}`);
+      }
+    }
+  }
+  return entries;
+}
+
+export async function removeMediaUrls(publicDir, urls) {
+  const removed = [];
+  for (const url of urls) {
+    const filePath = mediaUrlPath(publicDir, url);
+    if (!filePath) {
+      continue;
+    }
+    try {
+      await fs.rm(filePath, { recursive: true });
+      removed.push(url);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  return removed;
+}
+
+// Media no station points at, left alone until it is older than `olderThanMs`
+// so in-flight ingest outputs and listeners still on a replaced URL survive.
+export async function findOrphanedMedia({ publicDir, stations, olderThanMs = 0, now = Date.now() }) {
+  const referenced = referencedMediaUrls(stations);
+  const orphaned = [];
+  for (const url of await listCollectableMedia(publicDir)) {
+    if (referenced.has(url)) {
+      continue;
+    }
+    const stats = await fs.stat(mediaUrlPath(publicDir, url)).catch(() => null);
+    if (stats && now - stats.mtimeMs >= olderThanMs) {
+      orphaned.push(url);
+    }
+  }
+  return orphaned;
+}
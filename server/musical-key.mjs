@@ -0,0 +1,182 @@
+import { ANALYSIS_SAMPLE_RATE, analysePcm } from './pcm.mjs';
+import { camelotKey, camelotKeyName } from '../src/musicalKey.js';
+
+const KEY_SAMPLE_RATE = ANALYSIS_SAMPLE_RATE;
+const FRAME_SIZE = 4096;
+const SEGMENT_SECONDS = 30;
+const MIN_PITCH_HZ = 65;
+const MAX_PITCH_HZ = 2000;
+const SILENCE_CHROMA = 1e-3;
+
+// Krumhansl–Kessler key profiles, tonic first.
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let index = 0; index < size; index += 1) {
+    window[index] = 0.5 - 0.5 * Math.cos((2 * Math.PI * index) / (size - 1));
+  }
+  return window;
+}
+
+// In-place iterative radix-2 FFT.
+function fft(real, imag) {
+  const size = real.length;
+  for (let index = 1, reversed = 0; index < size; index += 1) {
+    let bit = size >> 1;
+    for (; reversed & bit; bit >>= 1) {
+      reversed ^= bit;
+    }
+    reversed ^= bit;
+    if (index < reversed) {
+      [real[index], real[reversed]] = [real[reversed], real[index]];
+      [imag[index], imag[reversed]] = [imag[reversed], imag[index]];
+    }
+  }
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < size; start += length) {
+      let twiddleReal = 1;
+      let twiddleImag = 0;
+      for (let offset = 0; offset < length / 2; offset += 1) {
+        const even = start + offset;
+        const odd = even + length / 2;
+        const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+        const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+        real[odd] = real[even] - oddReal;
+        imag[odd] = imag[even] - oddImag;
+        real[even] += oddReal;
+        imag[even] += oddImag;
+        const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+        twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+        twiddleReal = nextReal;
+      }
+    }
+  }
+}
+
+function binPitchClasses() {
+  const pitchClasses = new Int8Array(FRAME_SIZE / 2).fill(-1);
+  for (let bin = 1; bin < FRAME_SIZE / 2; bin += 1) {
+    const frequency = (bin * KEY_SAMPLE_RATE) / FRAME_SIZE;
+    if (frequency >= MIN_PITCH_HZ && frequency <= MAX_PITCH_HZ) {
+      const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+      pitchClasses[bin] = ((midi % 12) + 12) % 12;
+    }
+  }
+  return pitchClasses;
+}
+
+function correlation(a, b) {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let numerator = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    numerator += (a[index] - meanA) * (b[index] - meanB);
+    varianceA += (a[index] - meanA) ** 2;
+    varianceB += (b[index] - meanB) ** 2;
+  }
+  return varianceA > 0 && varianceB > 0 ? numerator / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+function bestKeyForChroma(chroma) {
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic += 1) {
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const rotated = chroma.map((_, pitchClass) => profile[(pitchClass - tonic + 12) % 12]);
+      const score = correlation(chroma, rotated);
+      if (!best || score > best.score) {
+        best = { tonic, mode, score };
+      }
+    }
+  }
+  return best;
+}
+
+// Mixes drift between keys, so every 30 s segment votes for its best-fitting
+// key (weighted by how well it fits) and the dominant key is the one with the
+// most weight. Confidence is that key's share of the votes. For analysePcm;
+// finish() gives null when nothing tonal was heard.
+export function createKeyAnalyser() {
+  const window = hannWindow(FRAME_SIZE);
+  const pitchClasses = binPitchClasses();
+  const framesPerSegment = Math.max(1, Math.round((SEGMENT_SECONDS * KEY_SAMPLE_RATE) / FRAME_SIZE));
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  const frame = new Float64Array(FRAME_SIZE);
+  const votes = new Map();
+  let segmentChroma = new Array(12).fill(0);
+  let segmentFrames = 0;
+  let fill = 0;
+
+  function closeSegment() {
+    const total = segmentChroma.reduce((sum, value) => sum + value, 0);
+    if (total / Math.max(1, segmentFrames) > SILENCE_CHROMA) {
+      const best = bestKeyForChroma(segmentChroma);
+      if (best.score > 0) {
+        const key = camelotKey(best.tonic, best.mode);
+        votes.set(key, (votes.get(key) || 0) + best.score);
+      }
+    }
+    segmentChroma = new Array(12).fill(0);
+    segmentFrames = 0;
+  }
+
+  function analyseFrame() {
+    for (let index = 0; index < FRAME_SIZE; index += 1) {
+      real[index] = frame[index] * window[index];
+      imag[index] = 0;
+    }
+    fft(real, imag);
+    for (let bin = 1; bin < FRAME_SIZE / 2; bin += 1) {
+      const pitchClass = pitchClasses[bin];
+      if (pitchClass >= 0) {
+        segmentChroma[pitchClass] += Math.hypot(real[bin], imag[bin]) / FRAME_SIZE;
+      }
+    }
+    segmentFrames += 1;
+    if (segmentFrames === framesPerSegment) {
+      closeSegment();
+    }
+  }
+
+  return {
+    push(samples) {
+      for (let index = 0; index < samples.length; index += 1) {
+        frame[fill] = samples[index] / 32768;
+        fill += 1;
+        if (fill === FRAME_SIZE) {
+          analyseFrame();
+          fill = 0;
+        }
+      }
+    },
+
+    finish() {
+      if (segmentFrames > 0) {
+        closeSegment();
+      }
+
+      const totalVotes = [...votes.values()].reduce((sum, value) => sum + value, 0);
+      if (totalVotes <= 0) {
+        return null;
+      }
+      const [key, weight] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+      return {
+        key,
+        name: camelotKeyName(key),
+        confidence: Math.round((weight / totalVotes) * 100) / 100
+      };
+    }
+  };
+}
+
+export async function estimateKey(trackPath) {
+  const { key } = await analysePcm(trackPath, { key: createKeyAnalyser() });
+  return key;
+}
@@ -0,0 +1,68 @@
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const repoRoot = path.resolve(path.dirname(__filename), '..');
+const decodePcmScript = path.join(repoRoot, 'scripts', 'decode-pcm.sh');
+
+export const ANALYSIS_SAMPLE_RATE = 8000;
+
+// Streams the track as mono 16-bit PCM, handing each chunk to onSamples as an
+// Int16Array so whole mixes never have to sit in memory.
+export function decodePcm(trackPath, { sampleRate, onSamples }) {
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    let carry = null;
+    let totalSamples = 0;
+    const child = spawn(decodePcmScript, [trackPath, String(sampleRate)], {
+      cwd: repoRoot,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    child.stdout.on('data', (chunk) => {
+      const buffer = carry ? Buffer.concat([carry, chunk]) : chunk;
+      const usableBytes = buffer.length - (buffer.length % 2);
+      carry = usableBytes < buffer.length ? buffer.subarray(usableBytes) : null;
+      if (usableBytes === 0) {
+        return;
+      }
+      const aligned = Buffer.from(buffer.subarray(0, usableBytes));
+      const samples = new Int16Array(aligned.buffer, aligned.byteOffset, usableBytes / 2);
+      totalSamples += samples.length;
+      onSamples(samples);
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (code === 0) {
+        resolve({ sampleRate, totalSamples, duration: totalSamples / sampleRate });
+        return;
+      }
+      reject(new Error(stderr.trim() || `PCM decode failed (${code})`));
+    });
+  });
+}
+
+// Waveform, tempo and key all read the same 8 kHz mono signal, so one decode
+// feeds every analyser: each gets push(samples) as the PCM streams and
+// finish(duration) for its result. Resolves to the decoded duration plus a
+// result per analyser name.
+export async function analysePcm(trackPath, analysers) {
+  const entries = Object.entries(analysers);
+  const { duration } = await decodePcm(trackPath, {
+    sampleRate: ANALYSIS_SAMPLE_RATE,
+    onSamples(samples) {
+      for (const [, analyser] of entries) {
+        analyser.push(samples);
+      }
+    }
+  });
+  return {
+    duration,
+    ...Object.fromEntries(entries.map(([name, analyser]) => [name, analyser.finish(duration)]))
+  };
+}
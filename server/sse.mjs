@@ -0,0 +1,62 @@
+const KEEPALIVE_MS = 25000;
+const STREAM_RETRY_AFTER_SECONDS = 60;
+
+export function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// `X-Accel-Buffering` stops nginx from holding events back.
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+}
+
+// Caps open streams overall and per client address, across every channel that
+// shares the limiter. Over a cap the request gets a 503 with Retry-After and
+// admit() returns false; otherwise the slot is freed when the client goes.
+export function createStreamLimiter({ maxStreams, maxStreamsPerClient }) {
+  const streamsByClient = new Map();
+  let openStreams = 0;
+
+  return {
+    admit(req, res) {
+      const client = req.ip || req.socket?.remoteAddress || '';
+      const clientStreams = streamsByClient.get(client) || 0;
+      if (openStreams >= maxStreams || clientStreams >= maxStreamsPerClient) {
+        res.writeHead(503, {
+          'Content-Type': 'text/plain; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'Retry-After': String(STREAM_RETRY_AFTER_SECONDS)
+        });
+        res.end('Too many open event streams. Try again later.\n');
+        return false;
+      }
+
+      openStreams += 1;
+      streamsByClient.set(client, clientStreams + 1);
+      req.on('close', () => {
+        openStreams -= 1;
+        const remaining = (streamsByClient.get(client) || 1) - 1;
+        if (remaining > 0) {
+          streamsByClient.set(client, remaining);
+        } else {
+          streamsByClient.delete(client);
+        }
+      });
+      return true;
+    }
+  };
+}
+
+// A comment line now and then keeps idle connections from being cut by proxies.
+export function startKeepalive(responses) {
+  setInterval(() => {
+    for (const res of responses()) {
+      res.write(': keepalive\n\n');
+    }
+  }, KEEPALIVE_MS).unref();
+}
@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createManifestHistory } from './manifest-history.mjs';
+import { createManifestStore } from './manifest-store.mjs';
+import { manifestValidationErrors, migrateManifest } from '../src/stationSchema.js';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const manifestPath = path.join(repoRoot, 'public', 'media', 'stations.json');
+const historyDir = path.join(repoRoot, 'media-originals', 'manifest-history');
+const apiUrl = process.env.ADMIN_API_URL || `http://localhost:${process.env.ADMIN_API_PORT || '8787'}`;
+
+function trackPathFor(track) {
+  const source = String(track || '').trim();
+  return source.startsWith('/media/') ? path.join(repoRoot, 'public', source) : path.join(repoRoot, source);
+}
+
+// The scripts write stations.json from their own process, outside the admin
+// API's write queue, so they only run while the API is down.
+async function adminApiIsRunning() {
+  try {
+    const response = await fetch(`${apiUrl}/api/time`, { signal: AbortSignal.timeout(1000) });
+    return response.ok;
+  } catch (_error) {
+    return false;
+  }
+}
+
+// The backfill-* scripts: analyse each station's track (or only the ids given)
+// and write each result back as it comes. `existing` describes a value that is
+// already there, or returns null; without --force such stations are skipped.
+// Resolves to the exit code.
+export async function runStationBackfill({ heading, action, busy, unavailable, empty, existing, analyse, apply, describe }) {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const onlyIds = new Set(args.filter((arg) => !arg.startsWith('--')));
+  if (await adminApiIsRunning()) {
+    console.error(`The admin API is running at ${apiUrl}. Stop it first: this script writes stations.json directly.`);
+    return 1;
+  }
+
+  const store = createManifestStore({
+    manifestPath,
+    migrate: migrateManifest,
+    validate: manifestValidationErrors,
+    history: createManifestHistory({ historyDir })
+  });
+  const { manifest } = await store.read();
+  const stations = manifest.stations.filter((station) => onlyIds.size === 0 || onlyIds.has(station.id));
+
+  console.log(heading);
+  let failures = 0;
+  let written = 0;
+  for (const station of stations) {
+    const existingNote = existing(station);
+    if (existingNote && !force) {
+      console.log(`- ${station.id}: ${existingNote}`);
+      continue;
+    }
+
+    const trackPath = trackPathFor(station.track);
+    try {
+      await fs.access(trackPath);
+    } catch (_error) {
+      console.log(`- ${station.id}: track missing (${station.track})`);
+      failures += 1;
+      continue;
+    }
+
+    let result = null;
+    try {
+      result = await analyse(trackPath);
+    } catch (error) {
+      console.log(`- ${station.id}: ${unavailable} (${error.message.split('\n')[0]})`);
+      failures += 1;
+      continue;
+    }
+    if (!result) {
+      console.log(`- ${station.id}: ${empty}`);
+      continue;
+    }
+
+    const { changed } = await store.update((current) => {
+      const target = current.stations.find((entry) => entry.id === station.id);
+      // A re-upload while this ran brings its own analysis.
+      if (!target || target.track !== station.track) {
+        return null;
+      }
+      apply(target, result);
+      return current;
+    }, { actor: 'script', action });
+    if (!changed) {
+      console.log(`- ${station.id}: removed or re-uploaded while ${busy}, skipped`);
+      continue;
+    }
+    written += 1;
+    console.log(`- ${station.id}: ${describe(result)}`);
+  }
+
+  if (written > 0) {
+    console.log(`\nWritten: ${manifestPath}`);
+  }
+  return failures > 0 ? 1 : 0;
+}
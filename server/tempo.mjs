@@ -0,0 +1,220 @@
+import { ANALYSIS_SAMPLE_RATE, analysePcm } from './pcm.mjs';
+
+// Mirrors scripts/estimate_bpm.py: three windows across the mix, a tempo per
+// window from the onset envelope's autocorrelation, then the median and a
+// spread-based confidence.
+const TEMPO_SAMPLE_RATE = ANALYSIS_SAMPLE_RATE;
+const HOP_SIZE = 128;
+const FRAME_RATE = TEMPO_SAMPLE_RATE / HOP_SIZE;
+const LOW_BAND_HZ = 150;
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const PRIOR_BPM = 120;
+const CLAMP_MIN_BPM = 75;
+const CLAMP_MAX_BPM = 190;
+const MIN_WINDOW_SECONDS = 20;
+const WINDOW_POSITIONS = [0.1, 0.46, 0.78];
+const REFINE_MULTIPLE = 4;
+const CONFIDENCE_SPREAD_BPM = 18;
+const DOUBLE_TIME_RATIO = 0.7;
+
+function clampBpm(value) {
+  let bpm = value;
+  while (bpm < CLAMP_MIN_BPM) {
+    bpm *= 2;
+  }
+  while (bpm > CLAMP_MAX_BPM) {
+    bpm /= 2;
+  }
+  return bpm;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Log-normal prior around 120 BPM (one octave wide), as librosa's tempo() uses.
+function tempoPrior(bpm) {
+  return Math.exp(-0.5 * Math.log2(bpm / PRIOR_BPM) ** 2);
+}
+
+// Rectified log-energy rise per hop in a low band (kicks) and in the first
+// difference of the signal (hats, snares), which stands in for librosa's
+// percussive separation.
+function createOnsetEnvelope() {
+  const envelope = [];
+  const lowAlpha = 1 - Math.exp((-2 * Math.PI * LOW_BAND_HZ) / TEMPO_SAMPLE_RATE);
+  let low = 0;
+  let previousSample = 0;
+  let lowEnergy = 0;
+  let highEnergy = 0;
+  let fill = 0;
+  let previousLowLog = null;
+  let previousHighLog = null;
+
+  return {
+    push(samples) {
+      for (let index = 0; index < samples.length; index += 1) {
+        const sample = samples[index] / 32768;
+        low += lowAlpha * (sample - low);
+        const high = sample - previousSample;
+        previousSample = sample;
+        lowEnergy += low * low;
+        highEnergy += high * high;
+        fill += 1;
+        if (fill < HOP_SIZE) {
+          continue;
+        }
+
+        const lowLog = Math.log1p((1000 * lowEnergy) / HOP_SIZE);
+        const highLog = Math.log1p((1000 * highEnergy) / HOP_SIZE);
+        envelope.push(
+          previousLowLog === null ? 0 : Math.max(0, lowLog - previousLowLog) + Math.max(0, highLog - previousHighLog)
+        );
+        previousLowLog = lowLog;
+        previousHighLog = highLog;
+        lowEnergy = 0;
+        highEnergy = 0;
+        fill = 0;
+      }
+    },
+
+    values() {
+      return Float32Array.from(envelope);
+    }
+  };
+}
+
+function autocorrelation(frames, maxLag) {
+  let mean = 0;
+  for (const value of frames) {
+    mean += value;
+  }
+  mean /= frames.length;
+
+  const acf = new Float64Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag; lag += 1) {
+    let sum = 0;
+    for (let index = lag; index < frames.length; index += 1) {
+      sum += (frames[index] - mean) * (frames[index - lag] - mean);
+    }
+    acf[lag] = sum / (frames.length - lag);
+  }
+  return acf;
+}
+
+function parabolicPeak(values, index) {
+  if (index <= 0 || index >= values.length - 1) {
+    return index;
+  }
+  const [before, peak, after] = [values[index - 1], values[index], values[index + 1]];
+  const curvature = before - 2 * peak + after;
+  return curvature < 0 ? index + (0.5 * (before - after)) / curvature : index;
+}
+
+// A fast beat's period often falls between two lags at 62.5 frames/s, which
+// splits its peak; weighing in the neighbours keeps it comparable.
+function smoothedPeak(values, index) {
+  return (values[index - 1] + 2 * values[index] + values[index + 1]) / 4;
+}
+
+function strongestLagNear(values, lag) {
+  let strongest = Math.round(lag);
+  for (let candidate = strongest - 1; candidate <= Math.round(lag) + 1; candidate += 1) {
+    if (smoothedPeak(values, candidate) > smoothedPeak(values, strongest)) {
+      strongest = candidate;
+    }
+  }
+  return strongest;
+}
+
+// The prior-weighted autocorrelation peak picks the beat period; the same peak
+// four beats out is then located to refine it, since a 16 ms hop alone is
+// only good to about ±2 BPM at 128.
+function bpmForWindow(frames) {
+  if (frames.length < MIN_WINDOW_SECONDS * FRAME_RATE) {
+    return null;
+  }
+  const minLag = Math.floor((60 * FRAME_RATE) / MAX_BPM);
+  const maxLag = Math.ceil((60 * FRAME_RATE) / MIN_BPM);
+  const acf = autocorrelation(frames, (maxLag + 1) * REFINE_MULTIPLE);
+  if (!(acf[0] > 0)) {
+    return null;
+  }
+
+  let bestLag = -1;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag += 1) {
+    const score = acf[lag] * tempoPrior((60 * FRAME_RATE) / lag);
+    if (score > bestScore) {
+      bestLag = lag;
+      bestScore = score;
+    }
+  }
+  if (bestLag < 0) {
+    return null;
+  }
+  // The prior leans to 120, so drum & bass at 174 (kicks on alternate beats)
+  // scores best at 87. A peak at half the lag that is nearly as strong means
+  // the beat really is that fast.
+  const halfLag = strongestLagNear(acf, bestLag / 2);
+  if ((60 * FRAME_RATE) / halfLag <= CLAMP_MAX_BPM && smoothedPeak(acf, halfLag) >= DOUBLE_TIME_RATIO * smoothedPeak(acf, bestLag)) {
+    bestLag = halfLag;
+  }
+
+  const coarseLag = parabolicPeak(acf, bestLag);
+  const target = Math.round(coarseLag * REFINE_MULTIPLE);
+  let refinedIndex = target;
+  for (let lag = target - REFINE_MULTIPLE; lag <= target + REFINE_MULTIPLE; lag += 1) {
+    if (acf[lag] > acf[refinedIndex]) {
+      refinedIndex = lag;
+    }
+  }
+  const refinedLag = parabolicPeak(acf, refinedIndex) / REFINE_MULTIPLE;
+  const lag = Math.abs(refinedLag - coarseLag) < 1 ? refinedLag : coarseLag;
+  return Math.round(clampBpm((60 * FRAME_RATE) / lag) * 10) / 10;
+}
+
+function tempoFromEnvelope(envelope) {
+  const duration = envelope.length / FRAME_RATE;
+  if (!(duration > 0)) {
+    return null;
+  }
+
+  const windowSeconds = Math.min(180, Math.max(90, duration * 0.16));
+  const estimates = [];
+  for (const position of WINDOW_POSITIONS) {
+    const start = Math.floor(duration * position * FRAME_RATE);
+    const bpm = bpmForWindow(envelope.subarray(start, start + Math.round(windowSeconds * FRAME_RATE)));
+    if (bpm !== null) {
+      estimates.push(bpm);
+    }
+  }
+  if (estimates.length === 0) {
+    return null;
+  }
+
+  const bpm = Math.round(median(estimates) * 10) / 10;
+  const spread = Math.max(...estimates) - Math.min(...estimates);
+  return {
+    bpm,
+    bpmInt: Math.round(bpm),
+    confidence: Math.round(Math.max(0, Math.min(1, 1 - spread / CONFIDENCE_SPREAD_BPM)) * 100) / 100
+  };
+}
+
+// For analysePcm; finish() gives null when no window had a usable beat.
+export function createTempoAnalyser() {
+  const envelope = createOnsetEnvelope();
+  return {
+    push: envelope.push,
+    finish: () => tempoFromEnvelope(envelope.values())
+  };
+}
+
+export async function estimateTempo(trackPath) {
+  const { tempo } = await analysePcm(trackPath, { tempo: createTempoAnalyser() });
+  return tempo;
+}
@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './fs-utils.mjs';
+
+export const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const SHA256_HEX_PATTERN = /^[a-f0-9]{64}$/;
+
+function uploadError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+export function publicUpload(upload) {
+  if (!upload) {
+    return null;
+  }
+  return {
+    id: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    complete: upload.offset >= upload.size,
+    chunkSize: UPLOAD_CHUNK_BYTES,
+    createdAt: upload.createdAt,
+    expiresAt: upload.expiresAt
+  };
+}
+
+// Checksums follow the tus convention: `sha256 <base64 digest>`.
+function parseChecksumHeader(value) {
+  const match = String(value || '').trim().match(/^sha256\s+([A-Za-z0-9+/=]+)$/i);
+  return match ? match[1] : null;
+}
+
+export function createUploadStore({ uploadsDir, maxSize, ttlMs = UPLOAD_TTL_MS }) {
+  const uploads = new Map();
+  const writing = new Set();
+
+  function metadataPath(uploadId) {
+    return path.join(uploadsDir, `${uploadId}.json`);
+  }
+
+  function dataPath(uploadId) {
+    return path.join(uploadsDir, `${uploadId}.part`);
+  }
+
+  function persist(upload) {
+    return writeFileAtomic(metadataPath(upload.id), `${JSON.stringify(upload, null, 2)}\n`);
+  }
+
+  async function discard(uploadId) {
+    uploads.delete(uploadId);
+    await Promise.allSettled([fs.unlink(metadataPath(uploadId)), fs.unlink(dataPath(uploadId))]);
+  }
+
+  return {
+    async start() {
+      await fs.mkdir(uploadsDir, { recursive: true });
+      const entries = await fs.readdir(uploadsDir);
+
+      for (const entry of entries) {
+        if (!entry.endsWith('.json')) {
+          continue;
+        }
+        try {
+          const upload = JSON.parse(await fs.readFile(path.join(uploadsDir, entry), 'utf8'));
+          if (!upload?.id) {
+            continue;
+          }
+          // A chunk cut off by a crash can leave bytes past the recorded offset;
+          // drop them so the client resends that chunk whole.
+          const stats = await fs.stat(dataPath(upload.id));
+          if (stats.size !== upload.offset) {
+            await fs.truncate(dataPath(upload.id), Math.min(stats.size, upload.offset));
+            upload.offset = Math.min(stats.size, upload.offset);
+            await persist(upload);
+          }
+          uploads.set(upload.id, upload);
+        } catch (error) {
+          console.warn(`[uploads] skipping unreadable upload ${entry}: ${error.message}`);
+        }
+      }
+
+      // Data files whose metadata is gone were claimed mid-move or never finished creating.
+      for (const entry of entries) {
+        if (entry.endsWith('.part') && !uploads.has(entry.slice(0, -'.part'.length))) {
+          await fs.unlink(path.join(uploadsDir, entry)).catch(() => {});
+        }
+      }
+
+      return this.sweepExpired();
+    },
+
+    async create({ owner, filename, size, sha256 }) {
+      const parsedSize = Number(size);
+      if (!Number.isSafeInteger(parsedSize) || parsedSize <= 0) {
+        throw uploadError(400, 'Upload size must be a positive number of bytes.');
+      }
+      if (maxSize && parsedSize > maxSize) {
+        throw uploadError(413, `Uploads are limited to ${Math.floor(maxSize / (1024 * 1024))} MB.`);
+      }
+      const expectedHash = sha256 ? String(sha256).trim().toLowerCase() : null;
+      if (expectedHash && !SHA256_HEX_PATTERN.test(expectedHash)) {
+        throw uploadError(400, 'sha256 must be a hex SHA-256 digest.');
+      }
+
+      const now = Date.now();
+      const upload = {
+        id: crypto.randomUUID(),
+        owner: owner || null,
+        filename: path.basename(String(filename || '')).slice(0, 255),
+        size: parsedSize,
+        sha256: expectedHash,
+        offset: 0,
+        createdAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      };
+      await fs.mkdir(uploadsDir, { recursive: true });
+      await fs.writeFile(dataPath(upload.id), '');
+      await persist(upload);
+      uploads.set(upload.id, upload);
+      return upload;
+    },
+
+    get(uploadId) {
+      return uploads.get(uploadId) || null;
+    },
+
+    filePath(uploadId) {
+      return dataPath(uploadId);
+    },
+
+    async append(uploadId, { offset, chunk, checksum }) {
+      const upload = uploads.get(uploadId);
+      if (!upload) {
+        throw uploadError(404, 'Upload not found.');
+      }
+      if (writing.has(uploadId)) {
+        throw uploadError(409, 'Another chunk is still being written to this upload.', { offset: upload.offset });
+      }
+      const parsedOffset = Number(offset);
+      if (!Number.isSafeInteger(parsedOffset) || parsedOffset !== upload.offset) {
+        throw uploadError(409, `Upload is at offset ${upload.offset}.`, { offset: upload.offset });
+      }
+      if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+        throw uploadError(400, 'Chunk body is empty.');
+      }
+      if (parsedOffset + chunk.length > upload.size) {
+        throw uploadError(400, `Chunk runs past the declared size of ${upload.size} bytes.`);
+      }
+      if (checksum !== undefined && checksum !== null && checksum !== '') {
+        const expected = parseChecksumHeader(checksum);
+        if (!expected) {
+          throw uploadError(400, 'Upload-Checksum must be "sha256 <base64 digest>".');
+        }
+        if (crypto.createHash('sha256').update(chunk).digest('base64') !== expected) {
+          // 460 is tus' "checksum mismatch"; the offset is unchanged so the chunk can be resent.
+          throw uploadError(460, 'Chunk checksum does not match.', { offset: upload.offset });
+        }
+      }
+
+      writing.add(uploadId);
+      try {
+        const handle = await fs.open(dataPath(uploadId), 'r+');
+        try {
+          await handle.write(chunk, 0, chunk.length, parsedOffset);
+        } finally {
+          await handle.close();
+        }
+        const now = Date.now();
+        Object.assign(upload, {
+          offset: parsedOffset + chunk.length,
+          updatedAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString()
+        });
+        await persist(upload);
+        return upload;
+      } finally {
+        writing.delete(uploadId);
+      }
+    },
+
+    // Hands a finished upload over to its consumer: the metadata goes away and
+    // the data file is left for the caller to move. If the consumer fails
+    // before taking the file, release() gives the upload back.
+    async claim(uploadId) {
+      const upload = uploads.get(uploadId);
+      if (!upload || upload.offset < upload.size || writing.has(uploadId)) {
+        throw uploadError(409, 'Upload is not complete.');
+      }
+      uploads.delete(uploadId);
+      await fs.unlink(metadataPath(uploadId)).catch(() => {});
+      return {
+        path: dataPath(uploadId),
+        originalname: upload.filename,
+        size: upload.size,
+        upload
+      };
+    },
+
+    async release(claimed) {
+      const upload = claimed?.upload;
+      if (!upload || uploads.has(upload.id)) {
+        return;
+      }
+      await persist(upload);
+      uploads.set(upload.id, upload);
+    },
+
+    remove(uploadId) {
+      return discard(uploadId);
+    },
+
+    async sweepExpired(now = Date.now()) {
+      const expired = [...uploads.values()].filter(
+        (upload) => !writing.has(upload.id) && Date.parse(upload.expiresAt) <= now
+      );
+      for (const upload of expired) {
+        await discard(upload.id);
+        console.log(`[uploads] expired ${upload.id} (${upload.filename || 'unnamed'}, ${upload.offset}/${upload.size} bytes)`);
+      }
+      return expired.length;
+    }
+  };
+}
@@ -0,0 +1,54 @@
+const PEAKS_BLOCK_SIZE = 256;
+export const PEAKS_BUCKET_COUNT = 800;
+
+// finish() gives null when the track decoded to no samples.
+export function createPeaksAnalyser({ buckets = PEAKS_BUCKET_COUNT } = {}) {
+  const blockPeaks = [];
+  let blockPeak = 0;
+  let blockFill = 0;
+
+  return {
+    push(samples) {
+      for (let index = 0; index < samples.length; index += 1) {
+        const amplitude = Math.abs(samples[index]);
+        if (amplitude > blockPeak) {
+          blockPeak = amplitude;
+        }
+        blockFill += 1;
+        if (blockFill === PEAKS_BLOCK_SIZE) {
+          blockPeaks.push(blockPeak);
+          blockPeak = 0;
+          blockFill = 0;
+        }
+      }
+    },
+
+    finish(duration) {
+      if (blockFill > 0) {
+        blockPeaks.push(blockPeak);
+      }
+      if (blockPeaks.length === 0) {
+        return null;
+      }
+
+      const bucketCount = Math.min(buckets, blockPeaks.length);
+      const bucketPeaks = [];
+      for (let bucket = 0; bucket < bucketCount; bucket += 1) {
+        const start = Math.floor((bucket * blockPeaks.length) / bucketCount);
+        const end = Math.floor(((bucket + 1) * blockPeaks.length) / bucketCount);
+        let peak = 0;
+        for (let index = start; index < end; index += 1) {
+          peak = Math.max(peak, blockPeaks[index]);
+        }
+        bucketPeaks.push(peak);
+      }
+
+      const loudest = Math.max(...bucketPeaks) || 1;
+      return {
+        version: 1,
+        duration: Number(duration.toFixed(3)),
+        peaks: bucketPeaks.map((peak) => Math.round((peak / loudest) * 255))
+      };
+    }
+  };
+}
@@ -1,6 +1,8 @@
 import { useEffect, useState } from 'react';
 import StationsListPanel from './StationsListPanel';
+import { useListenerCounts } from './listenerCounts';
 import { RETURN_FROM_ALL_STATIONS_KEY } from './playbackStorage';
+import { playableStations } from './stationSchema';
 
 function clockLabel() {
   return new Intl.DateTimeFormat('en-GB', {
@@ -15,6 +17,7 @@ function AllStationsPage() {
   const [clock, setClock] = useState(clockLabel());
   const [stations, setStations] = useState([]);
   const [error, setError] = useState('');
+  const listenerCounts = useListenerCounts(null);
 
   useEffect(() => {
     const timer = window.setInterval(() => setClock(clockLabel()), 1000);
@@ -43,7 +46,7 @@ function AllStationsPage() {
         }
         const manifest = await response.json();
         if (!cancelled) {
-          setStations(Array.isArray(manifest.stations) ? manifest.stations : []);
+          setStations(playableStations(manifest));
           setError('');
         }
       } catch (loadError) {
@@ -77,6 +80,7 @@ function AllStationsPage() {
           {error ? <p className="tune-error stations-load-error">{error}</p> : null}
           <StationsListPanel
             stations={stations}
+            listenerCounts={listenerCounts}
             onSelectStation={handleSelectStation}
             onReturnToRadio={handleReturnToRadio}
           />
@@ -1,20 +1,37 @@
 import { useEffect, useRef, useState } from 'react';
+import StationArtwork from './StationArtwork';
 import StationsListPanel from './StationsListPanel';
+import { displayListenerCount, useListenerCounts } from './listenerCounts';
+import { LOCAL_API_BASE, liveApiUrl } from './liveApi';
+import WaveformStrip from './WaveformStrip';
+import { canRouteMediaThroughWebAudio, dbToGain, dbToVolume } from './loudness';
+import { ARTWORK_VARIANTS, stationArtworkUrl } from './stationArtwork';
+import {
+  HLS_MIME_TYPE,
+  estimateThroughputKbps,
+  fetchHlsSegmentDurations,
+  hlsJoinUrl,
+  lowerBitrateCap,
+  selectRendition,
+  stationRenditions
+} from './audioRenditions';
 import { normalizeStationTags } from './stationTags';
+import { onClockOffsetChange, startClockSync, syncedOffset } from './syncClock';
+import { formatTrack, trackAtOffset } from './tracklist';
+import { FM_MAX, FM_MIN, FM_STEP, frequencyTickIndex, isStationDraft, nextScheduleChange, parseLocation, playableStations, sortStationsByFrequency, stationValidationErrors } from './stationSchema';
 import { MUTE_STORAGE_KEY, RETURN_FROM_ALL_STATIONS_KEY } from './playbackStorage';
 import UntunedStaticDisc from './UntunedStaticDisc';
 
-const SECONDS_PER_DAY = 86400;
 const MANIFEST_POLL_MS = 30000;
-const FM_MIN = 87.5;
-const FM_MAX = 108.0;
-const FM_STEP = 0.1;
+const MANIFEST_CHANNEL_RETRY_MS = 60000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
 const DIAL_TICK_GAP = 7;
 const EDGE_DOT_GAP = 13;
 const EDGE_DOT_SIZE = 1;
 const EDGE_RUN_PADDING = 8;
 const LISTENER_HEARTBEAT_MS = 15000;
-const LOCAL_API_BASE = 'http://localhost:8787';
+const STALL_WINDOW_MS = 60000;
+const STALL_LIMIT = 3;
 const MOBILE_BREAKPOINT = 520;
 const STATION_TRANSITION_MS = 660;
 const STATION_TRANSITION_SWAP_MS = 360;
@@ -40,22 +57,6 @@ const EDGE_RUN_WIDTH =
   EDGE_RUN_PADDING * 2;
 const UNTUNED_DIAL_OFFSET_PX = -510;
 
-function utcSecondsToday() {
-  const now = new Date();
-  return now.getUTCHours() * 3600 + now.getUTCMinutes() * 60 + now.getUTCSeconds();
-}
-
-function syncedOffset(duration) {
-  if (!duration || !Number.isFinite(duration)) {
-    return 0;
-  }
-
-  const progress = utcSecondsToday() / SECONDS_PER_DAY;
-  const loopsPerDay = SECONDS_PER_DAY / duration;
-  const completedLoops = Math.floor(loopsPerDay * progress);
-  return duration * (loopsPerDay * progress - completedLoops);
-}
-
 function circularDiff(a, b, duration) {
   const raw = Math.abs(a - b);
   return Math.min(raw, Math.abs(duration - raw));
@@ -118,34 +119,45 @@ function clockLabel() {
   }).format(new Date());
 }
 
-function normalizeManifestStations(manifestStations) {
-  if (!Array.isArray(manifestStations)) {
+function normalizeManifestStations(manifest) {
+  if (!Array.isArray(manifest?.stations)) {
+    return null;
+  }
+  // Re-run on every poll, so stations appear at publishAt and drop off at
+  // expireAt without a manifest write.
+  let merged = null;
+  try {
+    merged = sortStationsByFrequency(playableStations(manifest));
+  } catch (_error) {
     return null;
   }
-  const merged = manifestStations
-    .map((station) => ({
-      ...station,
-      tags: normalizeStationTags(station?.tags)
-    }))
-    .filter((station) => station.id && station.track && station.art && station.frequency && station.title)
-    .sort((a, b) => {
-      const aFreq = Number.parseFloat(a.frequency);
-      const bFreq = Number.parseFloat(b.frequency);
-      if (Number.isFinite(aFreq) && Number.isFinite(bFreq) && aFreq !== bFreq) {
-        return aFreq - bFreq;
-      }
-      return String(a.id).localeCompare(String(b.id));
-    });
 
   return merged.length > 0 ? merged : null;
 }
 
+// A `?preview=<token>` link adds one station (usually a draft) to the dial.
+async function fetchPreviewStation(token) {
+  const response = await fetch(liveApiUrl(`/api/preview/${encodeURIComponent(token)}`), { cache: 'no-store' });
+  const data = await response.json().catch(() => null);
+  const station = response.ok ? data?.station : null;
+  return station && stationValidationErrors(station).length === 0 ? station : null;
+}
+
+function withPreviewStation(stations, previewStation) {
+  if (!previewStation) {
+    return stations;
+  }
+  return sortStationsByFrequency([...(stations || []).filter((station) => station.id !== previewStation.id), previewStation]);
+}
+
 function hasLiveAssetChange(prevStation, nextStation) {
   if (!prevStation || !nextStation) {
     return false;
   }
 
-  return prevStation.track !== nextStation.track || prevStation.art !== nextStation.art;
+  const renditionKey = (station) =>
+    [station.hls?.playlist, ...stationRenditions(station).map((rendition) => rendition.url)].join('|');
+  return renditionKey(prevStation) !== renditionKey(nextStation) || prevStation.art !== nextStation.art;
 }
 
 function normalizeFrequencyHash(hashValue) {
@@ -193,43 +205,9 @@ function stationHashFromFrequency(frequencyValue) {
   return `${parsed.toFixed(2)}MHz`;
 }
 
-function simplifyCoordinates(rawCoordinates) {
-  const dmsPattern = /(\d+(?:\.\d+)?)°\s*(\d+(?:\.\d+)?)'\s*(\d+(?:\.\d+)?)"?\s*([NSEW])/gi;
-
-  if (rawCoordinates && typeof rawCoordinates === 'object') {
-    const lat = Number.parseFloat(rawCoordinates.lat);
-    const lon = Number.parseFloat(rawCoordinates.lon);
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      return `${lat.toFixed(3)}, ${lon.toFixed(3)}`;
-    }
-  }
-
-  const source = String(rawCoordinates || '').trim();
-  if (!source) {
-    return '';
-  }
-
-  const matches = [...source.matchAll(dmsPattern)];
-
-  if (matches.length >= 2) {
-    const toDecimal = (degrees, minutes, seconds, hemisphere) => {
-      const value =
-        Number.parseFloat(degrees) +
-        Number.parseFloat(minutes) / 60 +
-        Number.parseFloat(seconds) / 3600;
-      const signed = hemisphere === 'S' || hemisphere === 'W' ? -value : value;
-      return signed;
-    };
-
-    const lat = toDecimal(matches[0][1], matches[0][2], matches[0][3], matches[0][4].toUpperCase());
-    const lon = toDecimal(matches[1][1], matches[1][2], matches[1][3], matches[1][4].toUpperCase());
-
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      return `${lat.toFixed(3)}, ${lon.toFixed(3)}`;
-    }
-  }
-
-  return source.replace(/\s*\n\s*/g, ', ');
+function simplifyCoordinates(location) {
+  const parsed = parseLocation(location);
+  return parsed ? `${parsed.lat.toFixed(3)}, ${parsed.lon.toFixed(3)}` : '-';
 }
 
 function setSafeMediaSessionAction(action, handler) {
@@ -309,8 +287,26 @@ function fallbackStationDurationMs(station) {
   return 180000 + hash;
 }
 
+// One loop length per station, whatever rendition is playing: the
+// ingest-measured loopDuration, else the probed length of the 128k track.
+function stationLoopSeconds(station, durationMsById) {
+  if (Number.isFinite(station?.loopDuration) && station.loopDuration > 0) {
+    return station.loopDuration;
+  }
+  const probedMs = durationMsById?.[station?.id];
+  return probedMs ? probedMs / 1000 : null;
+}
+
+// The synced position within this element's media. Falls back to the
+// element's own duration until the station's loop length is known.
+function syncedPosition(audioElement, loopSeconds) {
+  const position = syncedOffset(loopSeconds || audioElement.duration);
+  return Number.isFinite(audioElement.duration) ? Math.min(position, audioElement.duration) : position;
+}
+
 function getStationCoreCode(station, durationMsById) {
-  const durationMs = durationMsById?.[station.id] ?? fallbackStationDurationMs(station);
+  const loopSeconds = stationLoopSeconds(station, durationMsById);
+  const durationMs = loopSeconds ? Math.round(loopSeconds * 1000) : fallbackStationDurationMs(station);
   const rotationCode = Math.round(getStationRotationDeg(station) * 10);
   return {
     durationCode: String(durationMs).padStart(6, '0'),
@@ -337,12 +333,14 @@ function App() {
   const handBounceStartTimerRef = useRef(null);
   const handBounceStopTimerRef = useRef(null);
   const discWakeTimerRef = useRef(null);
-  const untunedStaticContextRef = useRef(null);
+  const audioContextRef = useRef(null);
+  const stationGainRef = useRef(null);
   const untunedStaticSourceRef = useRef(null);
   const untunedStaticGainRef = useRef(null);
   const untunedStaticHighPassRef = useRef(null);
   const untunedStaticLowPassRef = useRef(null);
   const untunedStaticRequestRef = useRef(0);
+  const tuneRequestRef = useRef(0);
   const castContextRef = useRef(null);
   const castSessionRef = useRef(null);
   const castSessionStateHandlerRef = useRef(null);
@@ -389,6 +387,7 @@ function App() {
   const [signalDirection, setSignalDirection] = useState('steady');
   const [isManifestHydrated, setIsManifestHydrated] = useState(false);
   const [durationMsById, setDurationMsById] = useState({});
+  const [nowPlayingTrack, setNowPlayingTrack] = useState(null);
   const [listenerCount, setListenerCount] = useState(1);
   const [shareStatus, setShareStatus] = useState('');
   const [isStationsPanelOpen, setIsStationsPanelOpen] = useState(false);
@@ -397,15 +396,21 @@ function App() {
   const [isCasting, setIsCasting] = useState(false);
   const initialHashFrequencyRef = useRef(normalizeFrequencyHash(window.location.hash));
   const pendingInitialHashFrequencyRef = useRef(normalizeFrequencyHash(window.location.hash));
+  const previewTokenRef = useRef(new URLSearchParams(window.location.search).get('preview'));
+  const [previewStationId, setPreviewStationId] = useState(null);
   const hasBootstrappedStationRef = useRef(false);
   const hasSeenStationChangeRef = useRef(false);
   const previousSignalRef = useRef(3);
   const listenerClientIdRef = useRef('');
   const isMutedRef = useRef(isMuted);
   const isUntunedRef = useRef(isUntuned);
+  const activeRenditionRef = useRef(null);
+  const maxBitrateRef = useRef(Infinity);
+  const stallTimesRef = useRef([]);
 
   const stationsRef = useRef(stations);
   const activeIndexRef = useRef(activeIndex);
+  const durationMsByIdRef = useRef(durationMsById);
 
   useEffect(() => {
     stationsRef.current = stations;
@@ -415,6 +420,10 @@ function App() {
     activeIndexRef.current = activeIndex;
   }, [activeIndex]);
 
+  useEffect(() => {
+    durationMsByIdRef.current = durationMsById;
+  }, [durationMsById]);
+
   useEffect(() => {
     isMutedRef.current = isMuted;
   }, [isMuted]);
@@ -451,12 +460,13 @@ function App() {
         window.cancelAnimationFrame(dialDriftRafRef.current);
       }
       stopUntunedStatic();
-      if (untunedStaticContextRef.current) {
-        void untunedStaticContextRef.current.close().catch(() => {
+      if (audioContextRef.current) {
+        void audioContextRef.current.close().catch(() => {
           // Ignore close errors.
         });
       }
-      untunedStaticContextRef.current = null;
+      audioContextRef.current = null;
+      stationGainRef.current = null;
     };
   }, []);
 
@@ -499,6 +509,45 @@ function App() {
     untunedStaticGainRef.current = null;
   }
 
+  function getAudioContext() {
+    if (!audioContextRef.current) {
+      const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextCtor) {
+        return null;
+      }
+      audioContextRef.current = new AudioContextCtor();
+    }
+    return audioContextRef.current;
+  }
+
+  // Routing the <audio> element through Web Audio silences it until the context
+  // runs, so the graph is only built from a user gesture. Where the routing
+  // isn't safe the gain goes on the element's volume instead (see below).
+  function ensureStationGain() {
+    const audio = audioRef.current;
+    if (stationGainRef.current || !audio || !canRouteMediaThroughWebAudio()) {
+      return;
+    }
+    const context = getAudioContext();
+    if (!context) {
+      return;
+    }
+    if (context.state !== 'running') {
+      void context.resume().catch(() => {});
+    }
+
+    try {
+      const source = context.createMediaElementSource(audio);
+      const gain = context.createGain();
+      gain.gain.value = dbToGain(stationsRef.current[activeIndexRef.current]?.gainDb);
+      source.connect(gain);
+      gain.connect(context.destination);
+      stationGainRef.current = gain;
+    } catch (_error) {
+      // Without Web Audio the station plays at its encoded level.
+    }
+  }
+
   function setUntunedState(nextUntuned) {
     isUntunedRef.current = nextUntuned;
     setIsUntuned(nextUntuned);
@@ -512,15 +561,9 @@ function App() {
     const requestId = untunedStaticRequestRef.current + 1;
     untunedStaticRequestRef.current = requestId;
 
-    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
-    if (!AudioContextCtor) {
-      return;
-    }
-
-    let context = untunedStaticContextRef.current;
+    const context = getAudioContext();
     if (!context) {
-      context = new AudioContextCtor();
-      untunedStaticContextRef.current = context;
+      return;
     }
 
     if (context.state !== 'running') {
@@ -588,13 +631,18 @@ function App() {
   const clampedFrequency = Math.min(FM_MAX, Math.max(FM_MIN, Number.isFinite(activeFrequency) ? activeFrequency : FM_MIN));
   const activeStationHash = isUntuned ? null : stationHashFromFrequency(activeStation?.frequency);
   const listenerLabel = isUntuned ? '0 Listening' : `${listenerCount} Listening`;
-  const activeTickIndex = Number.isFinite(activeFrequency) ? Math.round((clampedFrequency - FM_MIN) / FM_STEP) : null;
+  // The open stations panel needs every station's count; otherwise only the
+  // tuned one is subscribed to.
+  const liveListenerCounts = useListenerCounts(isStationsPanelOpen ? null : [activeStationHash], {
+    enabled: isStationsPanelOpen || Boolean(activeStationHash)
+  });
+  const pushedListenerCount = activeStationHash ? liveListenerCounts[activeStationHash] : undefined;
+  const activeTickIndex = Number.isFinite(activeFrequency) ? frequencyTickIndex(clampedFrequency) : null;
   const untunedFocusTick = (-UNTUNED_DIAL_OFFSET_PX - EDGE_RUN_WIDTH) / DIAL_TICK_GAP;
   const dialFocusTickIndex = Number.isInteger(activeTickIndex) ? activeTickIndex : untunedFocusTick;
   const dialTranslatePx = dialFocusTickIndex * DIAL_TICK_GAP;
   const dialBaseOffsetPx = isUntuned ? UNTUNED_DIAL_OFFSET_PX : -EDGE_RUN_WIDTH - dialTranslatePx;
-  const activeCoordinates = activeStation?.location || activeStation?.coordinates || null;
-  const simplifiedCoordinates = activeCoordinates ? simplifyCoordinates(activeCoordinates) : '-';
+  const simplifiedCoordinates = simplifyCoordinates(activeStation?.location);
   const titleForDisplay = isUntuned
     ? ''
     : activeStation
@@ -616,12 +664,8 @@ function App() {
     : 'disc-motion';
   const stationTickMeta = stations
     .map((station, index) => {
-      const freq = Number.parseFloat(station.frequency);
-      if (!Number.isFinite(freq)) {
-        return null;
-      }
-      const tickIndex = Math.round((freq - FM_MIN) / FM_STEP);
-      return { stationIndex: index, tickIndex };
+      const tickIndex = frequencyTickIndex(station.frequency);
+      return tickIndex === null ? null : { stationIndex: index, tickIndex };
     })
     .filter(Boolean);
   const activeStationKey = activeStationHash || activeStation?.id || '';
@@ -684,6 +728,40 @@ function App() {
     });
   }
 
+  function castMetadataFor(sdk, station, track) {
+    const frequency = Number.parseFloat(station.frequency);
+    const frequencyLabel = Number.isFinite(frequency) ? `${frequency.toFixed(2)} MHz` : 'offley.fm';
+    const metadata = new sdk.chromeCast.media.MusicTrackMediaMetadata();
+    metadata.title = track?.title || station.title || 'offley.fm';
+    metadata.artist = track?.artist || (station.host ? `Host: ${station.host}` : 'offley.fm');
+    metadata.albumName = track ? `${station.title || 'offley.fm'} · ${frequencyLabel}` : frequencyLabel;
+    if (station.art) {
+      const artworkUrl = resolveCastAssetUrl(stationArtworkUrl(station, 'full'));
+      if (artworkUrl) {
+        metadata.images = [new sdk.chromeCast.Image(artworkUrl)];
+      }
+    }
+    return metadata;
+  }
+
+  // The Default Media Receiver only takes new metadata through a queue update.
+  // Receivers that refuse it keep the station metadata; reloading would
+  // interrupt the mix.
+  function updateCastTrackMetadata(station, track) {
+    const sdk = getCastSdk();
+    const mediaSession = castSessionRef.current?.getMediaSession?.();
+    const item = mediaSession?.items?.find((entry) => entry.itemId === mediaSession.currentItemId);
+    if (!sdk?.chromeCast.media.QueueUpdateItemsRequest || !item?.media) {
+      return;
+    }
+    item.media.metadata = castMetadataFor(sdk, station, track);
+    try {
+      mediaSession.queueUpdateItems(new sdk.chromeCast.media.QueueUpdateItemsRequest([item]), () => {}, () => {});
+    } catch (_error) {
+      // Older senders lack queue updates.
+    }
+  }
+
   async function loadCastStationMedia(station, muted) {
     const sdk = getCastSdk();
     const session = castSessionRef.current;
@@ -698,29 +776,19 @@ function App() {
     const mediaInfo = new sdk.chromeCast.media.MediaInfo(mediaUrl, 'audio/mpeg');
     mediaInfo.streamType = sdk.chromeCast.media.StreamType.BUFFERED;
 
-    const metadata = new sdk.chromeCast.media.MusicTrackMediaMetadata();
-    metadata.title = station.title || 'offley.fm';
-    metadata.artist = station.host ? `Host: ${station.host}` : 'offley.fm';
-    metadata.albumName = Number.isFinite(Number.parseFloat(station.frequency))
-      ? `${Number.parseFloat(station.frequency).toFixed(2)} MHz`
-      : 'offley.fm';
-    if (station.art) {
-      const artworkUrl = resolveCastAssetUrl(station.art);
-      if (artworkUrl) {
-        metadata.images = [new sdk.chromeCast.Image(artworkUrl)];
-      }
-    }
-    mediaInfo.metadata = metadata;
-
     const request = new sdk.chromeCast.media.LoadRequest(mediaInfo);
     request.autoplay = !muted;
 
     const audio = audioRef.current;
-    if (audio && Number.isFinite(audio.duration) && audio.duration > 0) {
+    const loopSeconds = stationLoopSeconds(station, durationMsByIdRef.current);
+    if (loopSeconds) {
+      request.currentTime = syncedOffset(loopSeconds);
+    } else if (audio && Number.isFinite(audio.duration) && audio.duration > 0) {
       request.currentTime = syncedOffset(audio.duration);
     } else {
       request.currentTime = 0;
     }
+    mediaInfo.metadata = castMetadataFor(sdk, station, trackAtOffset(station.tracklist, request.currentTime));
 
     await session.loadMedia(request);
     if (!muted) {
@@ -901,6 +969,14 @@ function App() {
     };
   }, [isCasting, isUntuned, activeStation, activeStationKey, isMuted]);
 
+  // Also follows edits to the station's title or artwork while it plays.
+  useEffect(() => {
+    if (!isCasting || isUntuned || !activeStation || castLoadedStationKeyRef.current !== activeStationKey) {
+      return;
+    }
+    updateCastTrackMetadata(activeStation, nowPlayingTrack);
+  }, [isCasting, isUntuned, activeStation, activeStationKey, nowPlayingTrack]);
+
   useEffect(() => {
     const previousSignal = previousSignalRef.current;
     if (activeSignalStrength > previousSignal) {
@@ -1051,7 +1127,7 @@ function App() {
         });
         const nextCount = Number.parseInt(data.listeners, 10);
         if (!cancelled && Number.isFinite(nextCount)) {
-          setListenerCount(Math.max(1, nextCount + 1));
+          setListenerCount(displayListenerCount(nextCount, { tuned: true }));
         }
       } catch (_error) {
         if (!cancelled) {
@@ -1071,12 +1147,18 @@ function App() {
     };
   }, [activeStationHash]);
 
+  useEffect(() => {
+    if (Number.isFinite(pushedListenerCount)) {
+      setListenerCount(displayListenerCount(pushedListenerCount, { tuned: true }));
+    }
+  }, [pushedListenerCount]);
+
   useEffect(() => {
     let cancelled = false;
     const pending = [];
 
     for (const station of stations) {
-      if (!station?.id || !station?.track || durationMsById[station.id]) {
+      if (!station?.id || !station?.track || durationMsById[station.id] || station.loopDuration) {
         continue;
       }
 
@@ -1168,22 +1250,112 @@ function App() {
       return undefined;
     }
 
-    const resyncTimer = window.setInterval(() => {
+    const resyncIfDrifted = () => {
       const audio = audioRef.current;
       if (!audio || !Number.isFinite(audio.duration) || audio.duration <= 0) {
         return;
       }
 
-      const expected = syncedOffset(audio.duration);
-      const drift = circularDiff(expected, audio.currentTime, audio.duration);
+      const station = stationsRef.current[activeIndexRef.current];
+      const loopSeconds = stationLoopSeconds(station, durationMsByIdRef.current) || audio.duration;
+      const expected = syncedPosition(audio, loopSeconds);
+      const drift = circularDiff(expected, audio.currentTime, loopSeconds);
       if (drift > 0.9) {
         audio.currentTime = expected;
       }
-    }, 30000);
+    };
+    const resyncTimer = window.setInterval(resyncIfDrifted, 30000);
+    // A corrected clock offset moves the expected position, so check at once.
+    const stopListening = onClockOffsetChange(resyncIfDrifted);
 
-    return () => window.clearInterval(resyncTimer);
+    return () => {
+      window.clearInterval(resyncTimer);
+      stopListening();
+    };
   }, [isLive, activeIndex, isUntuned]);
 
+  useEffect(() => startClockSync(), []);
+
+  useEffect(() => {
+    const tracklist = activeStation?.tracklist;
+    if (isUntuned || !tracklist) {
+      setNowPlayingTrack(null);
+      return undefined;
+    }
+
+    // Follows the shared loop clock rather than the element, so it is right
+    // while muted or casting too.
+    const updateTrack = () => {
+      const duration =
+        stationLoopSeconds(activeStation, durationMsById) || activeStation.hls?.duration || audioRef.current?.duration;
+      setNowPlayingTrack(trackAtOffset(tracklist, syncedOffset(duration)));
+    };
+    updateTrack();
+    const trackTimer = window.setInterval(updateTrack, 1000);
+    return () => window.clearInterval(trackTimer);
+  }, [activeStation, durationMsById, isUntuned]);
+
+  useEffect(() => {
+    const gain = stationGainRef.current;
+    if (isUntuned) {
+      return;
+    }
+    if (!gain) {
+      if (audioRef.current && !canRouteMediaThroughWebAudio()) {
+        audioRef.current.volume = dbToVolume(activeStation?.gainDb);
+      }
+      return;
+    }
+    const now = gain.context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setTargetAtTime(dbToGain(activeStation?.gainDb), now, 0.05);
+  }, [activeStation?.gainDb, isUntuned]);
+
+  useEffect(() => {
+    const onGesture = () => ensureStationGain();
+    window.addEventListener('click', onGesture, { once: true, capture: true });
+    window.addEventListener('keydown', onGesture, { once: true, capture: true });
+    return () => {
+      window.removeEventListener('click', onGesture, { capture: true });
+      window.removeEventListener('keydown', onGesture, { capture: true });
+    };
+  }, []);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || isUntuned) {
+      return undefined;
+    }
+
+    const onWaiting = () => {
+      if (audio.seeking || audio.paused || isCastingRef.current) {
+        return;
+      }
+      const now = Date.now();
+      const recentStalls = stallTimesRef.current.filter((time) => now - time < STALL_WINDOW_MS);
+      recentStalls.push(now);
+      stallTimesRef.current = recentStalls;
+      if (recentStalls.length < STALL_LIMIT) {
+        return;
+      }
+
+      stallTimesRef.current = [];
+      const station = stationsRef.current[activeIndexRef.current];
+      const rendition = activeRenditionRef.current;
+      const nextCap = station && rendition
+        ? lowerBitrateCap(station, rendition.bitrate, { canPlayType: (mimeType) => audio.canPlayType(mimeType) })
+        : null;
+      if (nextCap === null) {
+        return;
+      }
+      maxBitrateRef.current = nextCap;
+      void tuneToStation(activeIndexRef.current);
+    };
+
+    audio.addEventListener('waiting', onWaiting);
+    return () => audio.removeEventListener('waiting', onWaiting);
+  }, [activeIndex, isUntuned]);
+
   useEffect(() => {
     const audio = audioRef.current;
     if (!audio) {
@@ -1200,20 +1372,27 @@ function App() {
 
     const session = navigator.mediaSession;
     const metadataArtwork = [];
-    if (activeStation?.art) {
+    if (activeStation?.artwork) {
+      for (const { name, size } of ARTWORK_VARIANTS) {
+        metadataArtwork.push({ src: stationArtworkUrl(activeStation, name), sizes: `${size}x${size}`, type: 'image/jpeg' });
+      }
+    } else if (activeStation?.art) {
       metadataArtwork.push({ src: activeStation.art });
     }
     metadataArtwork.push({ src: '/media/assets/favicon.png' });
 
     if ('MediaMetadata' in window) {
+      const frequencyLabel = Number.isFinite(activeFrequency) ? `${activeFrequency.toFixed(2)} MHz` : 'Live radio';
       session.metadata = new MediaMetadata({
-        title: isUntuned ? 'Scanning' : activeStation?.title || 'offley.fm',
-        artist: isUntuned ? 'offley.fm' : activeStation?.host ? `Host: ${activeStation.host}` : 'offley.fm',
+        title: isUntuned ? 'Scanning' : nowPlayingTrack?.title || activeStation?.title || 'offley.fm',
+        artist: isUntuned
+          ? 'offley.fm'
+          : nowPlayingTrack?.artist || (activeStation?.host ? `Host: ${activeStation.host}` : 'offley.fm'),
         album: isUntuned
           ? 'Untuned FM'
-          : Number.isFinite(activeFrequency)
-            ? `${activeFrequency.toFixed(2)} MHz`
-            : 'Live radio',
+          : nowPlayingTrack
+            ? `${activeStation?.title || 'offley.fm'} · ${frequencyLabel}`
+            : frequencyLabel,
         artwork: metadataArtwork
       });
     }
@@ -1259,7 +1438,7 @@ function App() {
       setSafeMediaSessionAction('seekforward', null);
       setSafeMediaSessionAction('seekbackward', null);
     };
-  }, [activeStation, activeFrequency, isMuted, isUntuned, activeIndex, stations.length]);
+  }, [activeStation, activeFrequency, nowPlayingTrack, isMuted, isUntuned, activeIndex, stations.length]);
 
   useEffect(() => {
     if (!('mediaSession' in navigator) || isUntuned) {
@@ -1375,8 +1554,32 @@ function App() {
       return;
     }
 
+    const useHls = Boolean(station.hls?.playlist) && audio.canPlayType(HLS_MIME_TYPE) !== '';
+    const rendition = useHls
+      ? null
+      : selectRendition(station, {
+        canPlayType: (mimeType) => audio.canPlayType(mimeType),
+        throughputKbps: estimateThroughputKbps(),
+        maxBitrate: maxBitrateRef.current,
+        saveData: Boolean(navigator.connection?.saveData)
+      });
+    activeRenditionRef.current = rendition;
+    stallTimesRef.current = [];
+
+    const requestId = tuneRequestRef.current + 1;
+    tuneRequestRef.current = requestId;
+    const loopSeconds = stationLoopSeconds(station, durationMsByIdRef.current) || station.hls?.duration;
+
     audio.pause();
-    audio.src = station.track;
+    if (useHls) {
+      const segmentDurations = await fetchHlsSegmentDurations(station.hls.playlist);
+      if (requestId !== tuneRequestRef.current) {
+        return;
+      }
+      audio.src = hlsJoinUrl(station.hls, syncedOffset(loopSeconds), segmentDurations);
+    } else {
+      audio.src = rendition?.url || station.track;
+    }
     audio.load();
 
     if (isCastingRef.current) {
@@ -1386,7 +1589,7 @@ function App() {
 
     try {
       await waitForMetadata(audio);
-      audio.currentTime = syncedOffset(audio.duration);
+      audio.currentTime = syncedPosition(audio, loopSeconds);
       await audio.play();
     } catch (_error) {
       // Autoplay can fail after navigation. Keep UI/audio state in sync.
@@ -1396,21 +1599,68 @@ function App() {
     }
   }
 
+  // The admin API announces manifest revisions over Server-Sent Events. While
+  // that channel is down (or there's no API, e.g. a static deploy) we poll
+  // every MANIFEST_POLL_MS with If-None-Match. Scheduled stations come and go
+  // without a write, so the cached manifest is re-applied at each
+  // publishAt/expireAt as well.
   useEffect(() => {
     let stopped = false;
+    let lastManifest = null;
+    let lastEtag = null;
+    let channel = null;
+    let channelRetryTimer = null;
+    let scheduleTimer = null;
+
+    async function fetchManifest() {
+      const response = await fetch(`/media/stations.json?t=${Date.now()}`, {
+        cache: 'no-store',
+        headers: lastEtag && lastManifest ? { 'If-None-Match': lastEtag } : {}
+      });
+      if (response.status === 304) {
+        return lastManifest;
+      }
+      if (!response.ok) {
+        return null;
+      }
+      const manifest = await response.json();
+      lastManifest = manifest;
+      lastEtag = response.headers.get('ETag');
+      return manifest;
+    }
+
+    function scheduleNextChange(manifest) {
+      window.clearTimeout(scheduleTimer);
+      const nextChange = nextScheduleChange(manifest.stations);
+      if (nextChange !== null) {
+        scheduleTimer = window.setTimeout(() => {
+          void refreshManifest({ useCached: true });
+        }, Math.min(Math.max(0, nextChange - Date.now()), MAX_TIMEOUT_MS));
+      }
+    }
 
-    async function refreshManifest() {
+    async function refreshManifest({ useCached = false } = {}) {
       try {
-        const response = await fetch(`/media/stations.json?t=${Date.now()}`, { cache: 'no-store' });
-        if (!response.ok) {
+        const manifest = useCached && lastManifest ? lastManifest : await fetchManifest();
+        if (!manifest || stopped) {
           return;
         }
+        if (Array.isArray(manifest.stations)) {
+          scheduleNextChange(manifest);
+        }
 
-        const manifest = await response.json();
-        const incomingStations = normalizeManifestStations(manifest.stations);
+        const previewStation = previewTokenRef.current ? await fetchPreviewStation(previewTokenRef.current).catch(() => null) : null;
+        const incomingStations = withPreviewStation(normalizeManifestStations(manifest), previewStation);
         if (!incomingStations || stopped) {
           return;
         }
+        setPreviewStationId(previewStation?.id ?? null);
+        // A preview link without a frequency hash opens on the previewed station.
+        if (previewStation && !hasBootstrappedStationRef.current && !initialHashFrequencyRef.current) {
+          const previewFrequency = normalizeFrequencyHash(String(previewStation.frequency));
+          initialHashFrequencyRef.current = previewFrequency;
+          pendingInitialHashFrequencyRef.current = previewFrequency;
+        }
 
         const currentStations = stationsRef.current;
         const currentActiveIndex = activeIndexRef.current;
@@ -1458,14 +1708,45 @@ function App() {
       }
     }
 
+    function openManifestChannel() {
+      if (stopped || typeof window.EventSource !== 'function') {
+        return;
+      }
+      channel = new window.EventSource(liveApiUrl('/api/manifest/events'));
+      channel.addEventListener('manifest', (event) => {
+        let announced = null;
+        try {
+          announced = JSON.parse(event.data);
+        } catch (_error) {
+          return;
+        }
+        if (announced?.revision !== lastManifest?.revision) {
+          void refreshManifest();
+        }
+      });
+      // EventSource would retry every few seconds on its own; polling covers the
+      // gap while we back off instead.
+      channel.addEventListener('error', () => {
+        channel?.close();
+        channel = null;
+        channelRetryTimer = window.setTimeout(openManifestChannel, MANIFEST_CHANNEL_RETRY_MS);
+      });
+    }
+
     void refreshManifest();
+    openManifestChannel();
     const intervalId = window.setInterval(() => {
-      void refreshManifest();
+      if (!channel || channel.readyState !== window.EventSource.OPEN) {
+        void refreshManifest();
+      }
     }, MANIFEST_POLL_MS);
 
     return () => {
       stopped = true;
       window.clearInterval(intervalId);
+      window.clearTimeout(channelRetryTimer);
+      window.clearTimeout(scheduleTimer);
+      channel?.close();
     };
   }, []);
 
@@ -1568,6 +1849,7 @@ function App() {
   }, [activeIndex, stations, isUntuned]);
 
   function toggleMute() {
+    ensureStationGain();
     const audio = audioRef.current;
     const nextMuted = !isMutedRef.current;
     isMutedRef.current = nextMuted;
@@ -1725,6 +2007,7 @@ function App() {
             <section className="all-stations-panel all-stations-embedded-panel">
               <StationsListPanel
                 stations={stations}
+                listenerCounts={liveListenerCounts}
                 activeStationId={activeStation?.id}
                 onSelectStation={handleSelectStationFromPanel}
                 onClose={closeStationsPanel}
@@ -1769,6 +2052,10 @@ function App() {
               </button>
             </div>
             <h1>{titleForDisplay}</h1>
+            {nowPlayingTrack ? <p className="now-playing">{formatTrack(nowPlayingTrack)}</p> : null}
+            {activeStation && activeStation.id === previewStationId && isStationDraft(activeStation) ? (
+              <p className="preview-banner">Draft preview · not on the public dial</p>
+            ) : null}
           </section>
 
           <div className="panel-bottom">
@@ -1780,8 +2067,9 @@ function App() {
             >
               <div className={discMotionClass}>
                 {previousStation ? (
-                  <img
-                    src={previousStation.art}
+                  <StationArtwork
+                    station={previousStation}
+                    variant="disc"
                     alt=""
                     className={hasTransitionArtworkSwapped ? 'disc-art disc-out' : 'disc-art disc-hold'}
                     style={{ '--disc-rotation-start': `${getStationRotationDeg(previousStation)}deg` }}
@@ -1790,8 +2078,9 @@ function App() {
                   />
                 ) : null}
                 {activeStation ? (
-                  <img
-                    src={activeStation.art}
+                  <StationArtwork
+                    station={activeStation}
+                    variant="disc"
                     alt={`${activeStation.title} artwork`}
                     className={hasTransitionArtworkSwapped ? 'disc-art disc-in disc-spin' : 'disc-art disc-in-pending disc-spin'}
                     style={{ '--disc-rotation-start': `${activeRotation}deg` }}
@@ -1838,6 +2127,16 @@ function App() {
             </div>
             <div className="panel-rule" />
 
+            {!isUntuned && activeStation?.peaks ? (
+              <>
+                <WaveformStrip
+                  peaksUrl={activeStation.peaks}
+                  duration={stationLoopSeconds(activeStation, durationMsById)}
+                />
+                <div className="panel-rule" />
+              </>
+            ) : null}
+
             <div className="scan-row">
               <button type="button" className="scan-button" onClick={() => scan(-1)} disabled={!hasStations}>
                 <span className="scan-arrow scan-arrow-left" aria-hidden="true">
@@ -1877,13 +2176,7 @@ function App() {
                   </div>
                   {DIAL_TICKS.map((tick, index) => {
                     const isActive = !isUntuned && index === activeTickIndex;
-                    const stationAtTick = stations.find((station) => {
-                      const stationFreq = Number.parseFloat(station.frequency);
-                      if (!Number.isFinite(stationFreq)) {
-                        return false;
-                      }
-                      return Math.round((stationFreq - FM_MIN) / FM_STEP) === index;
-                    });
+                    const stationAtTick = stations.find((station) => frequencyTickIndex(station.frequency) === index);
                     const isStationTick = Boolean(stationAtTick);
                     return (
                       <div key={tick.value} className="dial-mark">
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import { adminAuthHeaders } from './adminSession';
+
+const HISTORY_PAGE_SIZE = 20;
+const VALUE_PREVIEW_LENGTH = 80;
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '–';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+function formatTime(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? ''
+    : new Intl.DateTimeFormat('en-GB', { dateStyle: 'short', timeStyle: 'medium' }).format(date);
+}
+
+async function readJson(response) {
+  return response.json().catch(() => null);
+}
+
+function RevisionChanges({ changes }) {
+  if (!changes?.length) {
+    return null;
+  }
+  return (
+    <ul className="history-changes">
+      {changes.map((change) => (
+        <li key={`${change.type}-${change.id}`}>
+          <span className="history-change-head">
+            {change.type} {change.id || 'manifest'}
+          </span>
+          {change.fields
+            ? Object.entries(change.fields).map(([field, { from, to }]) => (
+                <span key={field} className="history-field">
+                  {field}: {formatValue(from)} → {formatValue(to)}
+                </span>
+              ))
+            : null}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ManifestHistoryPanel({ session, onUnauthorized }) {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [etag, setEtag] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setLoading] = useState(false);
+  const [restoringRevision, setRestoringRevision] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  async function loadRevisions({ before } = {}) {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+      if (before !== undefined) {
+        params.set('before', String(before));
+      }
+      const response = await fetch(`/api/manifest/revisions?${params}`, { headers: adminAuthHeaders(session) });
+      const data = await readJson(response);
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+      if (!response.ok || !data?.ok) {
+        throw new Error(data?.error || `Unable to load history (${response.status}).`);
+      }
+      setEtag(response.headers.get('ETag') || '');
+      setCurrentRevision(data.revision);
+      setRevisions((prev) => (before === undefined ? data.revisions : [...prev, ...data.revisions]));
+      setHasMore(data.revisions.length === HISTORY_PAGE_SIZE);
+    } catch (loadError) {
+      setError(loadError.message || 'Unable to load history.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    void loadRevisions();
+  }, [session]);
+
+  async function restoreRevision(revision) {
+    if (!window.confirm(`Restore the station list as it was at revision ${revision}?`)) {
+      return;
+    }
+    setRestoringRevision(revision);
+    setMessage('');
+    setError('');
+    try {
+      const response = await fetch(`/api/manifest/revisions/${revision}/restore`, {
+        method: 'POST',
+        headers: { ...adminAuthHeaders(session), ...(etag ? { 'If-Match': etag } : {}) }
+      });
+      const data = await readJson(response);
+      if (response.status === 401) {
+        onUnauthorized();
+        return;
+      }
+      if (response.status === 412) {
+        throw new Error('The station list changed since this history was loaded. Check the latest revisions and try again.');
+      }
+      if (!response.ok || !data?.ok) {
+        throw new Error(data?.error || `Restore failed (${response.status}).`);
+      }
+      setMessage(`Restored revision ${revision} as revision ${data.revision}.`);
+      await loadRevisions();
+    } catch (restoreError) {
+      setError(restoreError.message || 'Restore failed.');
+      await loadRevisions();
+    } finally {
+      setRestoringRevision(null);
+    }
+  }
+
+  return (
+    <section className="tune-history">
+      <header className="tune-history-head">
+        <p>Manifest History</p>
+        <button type="button" className="tune-sign-out" onClick={() => loadRevisions()} disabled={isLoading}>
+          refresh
+        </button>
+      </header>
+
+      {message ? <p className="tune-ok">{message}</p> : null}
+      {error ? <p className="tune-error">{error}</p> : null}
+
+      <ol className="history-list">
+        {revisions.map((entry) => (
+          <li key={entry.revision} className="history-entry">
+            <div className="history-entry-head">
+              <span>
+                #{entry.revision} · {formatTime(entry.at)} · {entry.actor || 'unknown'} · {entry.action}
+                {entry.restoredFrom !== undefined ? ` from #${entry.restoredFrom}` : ''}
+              </span>
+              {entry.revision === currentRevision ? (
+                <span className="history-current">current</span>
+              ) : entry.restorable ? (
+                <button
+                  type="button"
+                  className="tune-sign-out"
+                  disabled={restoringRevision !== null}
+                  onClick={() => restoreRevision(entry.revision)}
+                >
+                  {restoringRevision === entry.revision ? 'restoring…' : 'restore'}
+                </button>
+              ) : null}
+            </div>
+            {entry.changes?.length ? (
+              <details>
+                <summary>{entry.summary}</summary>
+                <RevisionChanges changes={entry.changes} />
+              </details>
+            ) : (
+              <p className="history-summary">{entry.summary}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {!isLoading && revisions.length === 0 && !error ? <p className="history-summary">No revisions recorded yet.</p> : null}
+      {hasMore ? (
+        <button
+          type="button"
+          className="tune-sign-out"
+          disabled={isLoading}
+          onClick={() => loadRevisions({ before: revisions[revisions.length - 1].revision })}
+        >
+          older
+        </button>
+      ) : null}
+    </section>
+  );
+}
+
+export default ManifestHistoryPanel;
@@ -0,0 +1,19 @@
+import { stationArtworkUrl } from './stationArtwork';
+
+function StationArtwork({ station, variant, ...imgProps }) {
+  const webp = station?.artwork?.[variant]?.webp;
+  const img = <img src={stationArtworkUrl(station, variant)} {...imgProps} />;
+
+  if (!webp) {
+    return img;
+  }
+
+  return (
+    <picture className="station-artwork">
+      <source type="image/webp" srcSet={webp} />
+      {img}
+    </picture>
+  );
+}
+
+export default StationArtwork;
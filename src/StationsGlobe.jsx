@@ -1,6 +1,8 @@
 import { useEffect, useMemo, useRef } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { stationArtworkUrl } from './stationArtwork';
+import { parseLocation } from './stationSchema';
 
 const GLOBE_RADIUS = 36;
 const INITIAL_CAMERA_POSITION = { x: 75.953, y: 48.316, z: -61.209 };
@@ -21,29 +23,6 @@ function convertGPSToSphere(latitude, longitude, radius = GLOBE_RADIUS) {
   return new THREE.Vector3(x, y, z);
 }
 
-function stationCoordinates(station) {
-  const latFromLocation = Number.parseFloat(station?.location?.lat);
-  const lonFromLocation = Number.parseFloat(station?.location?.lon);
-  if (Number.isFinite(latFromLocation) && Number.isFinite(lonFromLocation)) {
-    return { lat: latFromLocation, lon: lonFromLocation };
-  }
-
-  const source = String(station?.coordinates || '').trim();
-  if (!source) {
-    return null;
-  }
-  const decimalMatch = source.match(/(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/);
-  if (!decimalMatch) {
-    return null;
-  }
-  const lat = Number.parseFloat(decimalMatch[1]);
-  const lon = Number.parseFloat(decimalMatch[2]);
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    return null;
-  }
-  return { lat, lon };
-}
-
 function StationsGlobe({ stations, activeStationId, onSelectStation }) {
   const containerRef = useRef(null);
   const onSelectStationRef = useRef(onSelectStation);
@@ -56,14 +35,14 @@ function StationsGlobe({ stations, activeStationId, onSelectStation }) {
   const mappableStations = useMemo(() => {
     return (Array.isArray(stations) ? stations : [])
       .map((station) => {
-        const coords = stationCoordinates(station);
+        const coords = parseLocation(station?.location);
         if (!coords) {
           return null;
         }
         return {
           station,
           id: station.id,
-          art: station.art,
+          art: stationArtworkUrl(station, 'thumb'),
           lat: coords.lat,
           lon: coords.lon
         };
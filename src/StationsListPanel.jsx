@@ -1,33 +1,24 @@
 import { Fragment, Suspense, lazy, useMemo, useState } from 'react';
+import { displayListenerCount, stationListenerKey } from './listenerCounts';
+import { stationKeyLabel } from './musicalKey';
 import { normalizeStationTags } from './stationTags';
+import StationArtwork from './StationArtwork';
+import { parseLocation, sortStationsByFrequency } from './stationSchema';
 
 const StationsGlobe = lazy(() => import('./StationsGlobe'));
 
 function locationLabel(station) {
-  if (station?.location && Number.isFinite(Number(station.location.lat)) && Number.isFinite(Number(station.location.lon))) {
-    return `${Number(station.location.lat).toFixed(3)}, ${Number(station.location.lon).toFixed(3)}`;
-  }
-  if (typeof station?.coordinates === 'string' && station.coordinates.trim()) {
-    return station.coordinates.replace(/\s*\n\s*/g, ', ');
-  }
-  return '-';
-}
-
-function sortByFrequency(stations) {
-  return [...stations].sort((a, b) => {
-    const aFreq = Number.parseFloat(a.frequency);
-    const bFreq = Number.parseFloat(b.frequency);
-    if (Number.isFinite(aFreq) && Number.isFinite(bFreq) && aFreq !== bFreq) {
-      return aFreq - bFreq;
-    }
-    return String(a.id).localeCompare(String(b.id));
-  });
+  const location = parseLocation(station?.location);
+  return location ? `${location.lat.toFixed(3)}, ${location.lon.toFixed(3)}` : '-';
 }
 
-function StationsListPanel({ stations, onClose, onSelectStation, onReturnToRadio, activeStationId, showClose = false }) {
+function StationsListPanel({ stations, listenerCounts = {}, onClose, onSelectStation, onReturnToRadio, activeStationId, showClose = false }) {
   const [expandedId, setExpandedId] = useState(null);
   const [viewMode, setViewMode] = useState('list');
-  const orderedStations = useMemo(() => sortByFrequency(Array.isArray(stations) ? stations : []), [stations]);
+  const orderedStations = useMemo(() => sortStationsByFrequency(Array.isArray(stations) ? stations : []), [stations]);
+  const stationListeners = (station) =>
+    displayListenerCount(listenerCounts[stationListenerKey(station.frequency)], { tuned: station.id === activeStationId });
+  const totalListeners = orderedStations.reduce((total, station) => total + stationListeners(station), 0);
 
   function handleRowKeyDown(event, station) {
     const isEnter = event.key === 'Enter';
@@ -61,7 +52,9 @@ function StationsListPanel({ stations, onClose, onSelectStation, onReturnToRadio
 
       <section className="stations-list-head">
         <div className="stations-list-meta">
-          <p className="stations-count">{orderedStations.length} stations</p>
+          <p className="stations-count">
+            {orderedStations.length} stations{totalListeners > 0 ? ` · ${totalListeners} listening` : ''}
+          </p>
           <div className="stations-view-toggle" role="tablist" aria-label="All stations view mode">
             <button
               type="button"
@@ -116,6 +109,7 @@ function StationsListPanel({ stations, onClose, onSelectStation, onReturnToRadio
                 const readableFreq = Number.isFinite(displayFreq) ? displayFreq.toFixed(2) : station.frequency;
                 const stationBpm = Number.parseFloat(station?.bpm);
                 const stationBpmLabel = Number.isFinite(stationBpm) ? Math.round(stationBpm) : '-';
+                const listeners = stationListeners(station);
                 return (
                   <Fragment key={station.id || index}>
                     <tr
@@ -127,11 +121,12 @@ function StationsListPanel({ stations, onClose, onSelectStation, onReturnToRadio
                       onKeyDown={(event) => handleRowKeyDown(event, station)}
                     >
                       <td>
-                        <img src={station.art} alt="" className="station-thumb" loading="lazy" />
+                        <StationArtwork station={station} variant="thumb" alt="" className="station-thumb" loading="lazy" />
                       </td>
                       <td>
                         <p className="station-host">{station.host || 'TBC'}</p>
                         <p className="station-title">{station.title}</p>
+                        {listeners > 0 ? <p className="station-listeners">{listeners} listening</p> : null}
                       </td>
                       <td className="station-freq">{readableFreq}</td>
                       <td>
@@ -154,6 +149,7 @@ function StationsListPanel({ stations, onClose, onSelectStation, onReturnToRadio
                           <p>ID: {station.id}</p>
                           <p>Signal: {station.signal ?? 3}</p>
                           <p>BPM: {stationBpmLabel}</p>
+                          <p>Key: {stationKeyLabel(station)}</p>
                           <p>Location: {locationLabel(station)}</p>
                           <p>Tags: {stationTags.length ? stationTags.join(', ') : '-'}</p>
                         </td>
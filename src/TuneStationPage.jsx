@@ -1,5 +1,10 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { STATION_TAG_OPTIONS, normalizeStationTags } from './stationTags';
+import { formatFrequency, isStationDraft } from './stationSchema';
+import { adminAuthHeaders, clearAdminSession, readAdminSession, signInAdmin } from './adminSession';
+import { forgetPendingUpload, pendingUploadFor, uploadFileResumable } from './resumableUpload';
+import { pictureExtension, readFileTags } from './audioTags';
+import ManifestHistoryPanel from './ManifestHistoryPanel';
 
 function slugify(input) {
   return String(input || '')
@@ -8,6 +13,11 @@ function slugify(input) {
     .replace(/^-+|-+$/g, '');
 }
 
+const ACTIVE_JOB_STORAGE_KEY = 'offley_tune_job';
+const JOB_POLL_MS = 1000;
+const JOB_POLL_MAX_FAILURES = 30;
+const FREQUENCY_LOOKUP_DELAY_MS = 300;
+
 const INITIAL_FORM = {
   id: '',
   title: '',
@@ -16,9 +26,18 @@ const INITIAL_FORM = {
   lat: '',
   lon: '',
   signal: '3',
-  tags: []
+  tags: [],
+  publishAt: '',
+  expireAt: '',
+  draft: false
 };
 
+// datetime-local values are in the browser's zone; the API wants UTC.
+function scheduleTimeFromInput(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+}
+
 function clockLabel() {
   return new Intl.DateTimeFormat('en-GB', {
     hour: '2-digit',
@@ -28,92 +47,35 @@ function clockLabel() {
   }).format(new Date());
 }
 
-function postTuneStation(formData, onProgress, onStage) {
+function postTuneStation(formData, session, onProgress) {
   return new Promise((resolve, reject) => {
     const request = new XMLHttpRequest();
-    request.open('POST', '/api/tune-station?stream=1');
-    let readOffset = 0;
-    let lineBuffer = '';
-    let streamedPayload = null;
-
-    const emitProgress = (percent, stage) => {
-      if (typeof onProgress === 'function' && Number.isFinite(percent)) {
-        onProgress(percent);
-      }
-      if (typeof onStage === 'function' && typeof stage === 'string' && stage.trim()) {
-        onStage(stage.trim());
-      }
-    };
-
-    const processEventLine = (line) => {
-      if (!line) {
-        return;
-      }
-      let payload = null;
-      try {
-        payload = JSON.parse(line);
-      } catch (_error) {
-        return;
-      }
-
-      if (payload?.type === 'progress') {
-        emitProgress(Number.parseInt(payload.percent, 10), payload.stage);
-        return;
-      }
-
-      if (payload?.type === 'result' || payload?.type === 'error') {
-        streamedPayload = payload;
-        emitProgress(Number.parseInt(payload.percent, 10), payload.stage);
-      }
-    };
-
-    const processChunk = (chunk) => {
-      if (!chunk) {
-        return;
-      }
-      lineBuffer += chunk;
-      const lines = lineBuffer.split('\n');
-      lineBuffer = lines.pop() ?? '';
-      for (const line of lines) {
-        processEventLine(line.trim());
-      }
-    };
+    request.open('POST', '/api/tune-station');
+    for (const [header, value] of Object.entries(adminAuthHeaders(session))) {
+      request.setRequestHeader(header, value);
+    }
 
     request.upload.addEventListener('progress', (event) => {
       if (!event.lengthComputable || typeof onProgress !== 'function') {
         return;
       }
-      const uploadRatio = event.total > 0 ? event.loaded / event.total : 0;
-      const percent = Math.max(1, Math.min(90, Math.round(uploadRatio * 90)));
-      emitProgress(percent, 'Uploading files');
-    });
-
-    request.addEventListener('progress', () => {
-      const text = request.responseText || '';
-      if (text.length <= readOffset) {
-        return;
-      }
-      const chunk = text.slice(readOffset);
-      readOffset = text.length;
-      processChunk(chunk);
+      onProgress(event.total > 0 ? event.loaded / event.total : 0);
     });
 
     request.addEventListener('load', () => {
       const text = request.responseText || '';
-      if (text.length > readOffset) {
-        processChunk(text.slice(readOffset));
-        readOffset = text.length;
-      }
-      if (lineBuffer.trim()) {
-        processEventLine(lineBuffer.trim());
-        lineBuffer = '';
+      let payload = null;
+      try {
+        payload = text ? JSON.parse(text) : null;
+      } catch (_error) {
+        payload = null;
       }
 
       resolve({
         status: request.status,
         ok: request.status >= 200 && request.status < 300,
         text,
-        payload: streamedPayload
+        payload
       });
     });
     request.addEventListener('error', () => reject(new Error('Network error while uploading station.')));
@@ -123,17 +85,65 @@ function postTuneStation(formData, onProgress, onStage) {
   });
 }
 
+async function waitForIngestJob(jobId, session, onUpdate, isCancelled) {
+  let consecutiveFailures = 0;
+
+  while (!isCancelled()) {
+    try {
+      const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, {
+        headers: adminAuthHeaders(session),
+        cache: 'no-store'
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data?.job) {
+        const error = new Error(data?.error || `Unable to read upload job (${response.status}).`);
+        error.status = response.status;
+        throw error;
+      }
+
+      consecutiveFailures = 0;
+      onUpdate(data.job);
+      if (data.job.status === 'succeeded' || data.job.status === 'failed') {
+        return data.job;
+      }
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      consecutiveFailures += 1;
+      if (consecutiveFailures >= JOB_POLL_MAX_FAILURES) {
+        throw new Error('Lost connection to the admin API. Reload to check on the upload.');
+      }
+    }
+
+    await new Promise((resolve) => window.setTimeout(resolve, JOB_POLL_MS));
+  }
+
+  return null;
+}
+
 function TuneStationPage() {
   const [form, setForm] = useState(INITIAL_FORM);
   const [audioFile, setAudioFile] = useState(null);
   const [artFile, setArtFile] = useState(null);
+  const [tracklistFile, setTracklistFile] = useState(null);
+  const [embeddedArt, setEmbeddedArt] = useState(null);
+  const [artPreviewUrl, setArtPreviewUrl] = useState('');
+  const latestAudioFileRef = useRef(null);
   const [isSubmitting, setSubmitting] = useState(false);
   const [pendingTag, setPendingTag] = useState(STATION_TAG_OPTIONS[0]);
   const [result, setResult] = useState(null);
+  const [previewLink, setPreviewLink] = useState(null);
+  const [isPublishing, setPublishing] = useState(false);
   const [error, setError] = useState('');
   const [clock, setClock] = useState(clockLabel());
   const [submitProgress, setSubmitProgress] = useState(0);
   const [submitStage, setSubmitStage] = useState('');
+  const [session, setSession] = useState(() => readAdminSession());
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [isSigningIn, setSigningIn] = useState(false);
+  const [frequencyHelp, setFrequencyHelp] = useState(null);
+  const pendingAudioUpload = useMemo(() => pendingUploadFor(audioFile), [audioFile]);
 
   const resolvedId = useMemo(() => form.id.trim() || slugify(form.title), [form.id, form.title]);
 
@@ -142,10 +152,279 @@ function TuneStationPage() {
     return () => window.clearInterval(timer);
   }, []);
 
+  useEffect(() => {
+    const previewFile = artFile || embeddedArt;
+    if (!previewFile) {
+      setArtPreviewUrl('');
+      return undefined;
+    }
+    const url = URL.createObjectURL(previewFile);
+    setArtPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [artFile, embeddedArt]);
+
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    let cancelled = false;
+
+    async function verifySession() {
+      try {
+        const response = await fetch('/api/auth/session', { headers: adminAuthHeaders(session) });
+        if (!cancelled && response.status === 401) {
+          clearAdminSession();
+          setSession(null);
+        }
+      } catch (_error) {
+        // Keep the stored session; the upload will surface connection errors.
+      }
+    }
+
+    void verifySession();
+    return () => {
+      cancelled = true;
+    };
+  }, [session]);
+
+  useEffect(() => {
+    const activeJobId = window.localStorage.getItem(ACTIVE_JOB_STORAGE_KEY);
+    if (!session || !activeJobId) {
+      return undefined;
+    }
+    let cancelled = false;
+
+    async function reattach() {
+      setSubmitting(true);
+      setSubmitStage('Reattaching to upload');
+      try {
+        const station = await followIngestJob(activeJobId, () => cancelled);
+        if (!cancelled && station) {
+          setResult(station);
+        }
+      } catch (jobError) {
+        if (!cancelled) {
+          setError(jobError.message || 'Station upload failed.');
+        }
+      } finally {
+        if (!cancelled) {
+          finishSubmission();
+        }
+      }
+    }
+
+    void reattach();
+    return () => {
+      cancelled = true;
+    };
+  }, [session]);
+
+  async function followIngestJob(jobId, isCancelled) {
+    window.localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, jobId);
+    let job = null;
+    try {
+      job = await waitForIngestJob(
+        jobId,
+        session,
+        (update) => {
+          if (isCancelled()) {
+            return;
+          }
+          const percent = Number.parseInt(update.percent, 10);
+          if (Number.isFinite(percent)) {
+            setSubmitProgress((prev) => Math.max(prev, percent));
+          }
+          if (update.stage) {
+            setSubmitStage(update.stage);
+          }
+        },
+        isCancelled
+      );
+    } catch (jobError) {
+      if (jobError.status === 401) {
+        clearAdminSession();
+        setSession(null);
+        throw new Error('Your session has expired. Sign in again to check on the upload.');
+      }
+      if (jobError.status === 404) {
+        window.localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+      }
+      throw jobError;
+    }
+
+    if (!job) {
+      return null;
+    }
+    window.localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Station upload failed.');
+    }
+    setSubmitProgress(100);
+    setSubmitStage('Done');
+    return job.result?.station || null;
+  }
+
+  function finishSubmission() {
+    setSubmitting(false);
+    window.setTimeout(() => {
+      setSubmitProgress(0);
+      setSubmitStage('');
+    }, 420);
+  }
+
+  useEffect(() => {
+    if (!session) {
+      setFrequencyHelp(null);
+      return undefined;
+    }
+    let cancelled = false;
+
+    const timer = window.setTimeout(async () => {
+      const params = new URLSearchParams({ count: '5' });
+      if (form.frequency.trim()) {
+        params.set('near', form.frequency.trim());
+      }
+      if (resolvedId) {
+        params.set('exclude', resolvedId);
+      }
+      for (const field of ['publishAt', 'expireAt']) {
+        const time = scheduleTimeFromInput(form[field]);
+        if (time) {
+          params.set(field, time);
+        }
+      }
+      try {
+        const response = await fetch(`/api/frequencies/suggestions?${params}`, { headers: adminAuthHeaders(session) });
+        const data = await response.json().catch(() => null);
+        if (!cancelled) {
+          setFrequencyHelp(response.ok && data?.ok ? data : null);
+        }
+      } catch (_error) {
+        if (!cancelled) {
+          setFrequencyHelp(null);
+        }
+      }
+    }, FREQUENCY_LOOKUP_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [session, form.frequency, form.publishAt, form.expireAt, resolvedId, result]);
+
+  useEffect(() => {
+    if (!session || !isStationDraft(result)) {
+      setPreviewLink(null);
+      return undefined;
+    }
+    let cancelled = false;
+
+    async function loadPreviewLink() {
+      try {
+        const response = await fetch(`/api/stations/${encodeURIComponent(result.id)}/preview`, { headers: adminAuthHeaders(session) });
+        const data = await response.json().catch(() => null);
+        if (!cancelled) {
+          setPreviewLink(response.ok && data?.ok ? new URL(data.preview.url, window.location.origin).href : null);
+        }
+      } catch (_error) {
+        if (!cancelled) {
+          setPreviewLink(null);
+        }
+      }
+    }
+
+    void loadPreviewLink();
+    return () => {
+      cancelled = true;
+    };
+  }, [session, result]);
+
+  async function publishResult() {
+    setPublishing(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/stations/${encodeURIComponent(result.id)}/publish`, {
+        method: 'POST',
+        headers: adminAuthHeaders(session)
+      });
+      const data = await response.json().catch(() => null);
+      if (response.status === 401) {
+        handleSignOut();
+        return;
+      }
+      if (!response.ok || !data?.ok) {
+        throw new Error(data?.error || `Publish failed (${response.status}).`);
+      }
+      setResult(data.station);
+    } catch (publishError) {
+      setError(publishError.message || 'Publish failed.');
+    } finally {
+      setPublishing(false);
+    }
+  }
+
+  async function handleSignIn(event) {
+    event.preventDefault();
+    setError('');
+    if (!credentials.username.trim() || !credentials.password) {
+      setError('Enter your username and password.');
+      return;
+    }
+
+    setSigningIn(true);
+    try {
+      const nextSession = await signInAdmin(credentials.username.trim(), credentials.password);
+      setSession(nextSession);
+      setCredentials({ username: '', password: '' });
+    } catch (signInError) {
+      setError(signInError.message || 'Sign in failed.');
+    } finally {
+      setSigningIn(false);
+    }
+  }
+
+  function handleSignOut() {
+    clearAdminSession();
+    setSession(null);
+    setResult(null);
+    setError('');
+  }
+
   function updateField(key, value) {
     setForm((prev) => ({ ...prev, [key]: value }));
   }
 
+  // Tags only fill fields that are still empty; the embedded cover stands in
+  // until an artwork file is chosen, and the server falls back to it too.
+  async function handleAudioChange(event) {
+    const file = event.target.files?.[0] ?? null;
+    latestAudioFileRef.current = file;
+    setAudioFile(file);
+    setEmbeddedArt(null);
+    if (!file) {
+      return;
+    }
+
+    let tags = null;
+    try {
+      tags = await readFileTags(file);
+    } catch (_error) {
+      // Unreadable tags just mean nothing to prefill.
+    }
+    if (!tags || latestAudioFileRef.current !== file) {
+      return;
+    }
+    setForm((prev) => ({
+      ...prev,
+      title: prev.title.trim() ? prev.title : tags.title || prev.title,
+      host: prev.host.trim() ? prev.host : tags.artist || prev.host
+    }));
+    if (tags.picture) {
+      const { mimeType, data } = tags.picture;
+      setEmbeddedArt(new File([data], `cover${pictureExtension(mimeType)}`, { type: mimeType }));
+    }
+  }
+
   function addTag() {
     setForm((prev) => {
       const next = normalizeStationTags([...(prev.tags || []), pendingTag]);
@@ -167,7 +446,7 @@ function TuneStationPage() {
     setSubmitProgress(0);
     setSubmitStage('');
 
-    if (!resolvedId || !form.title.trim() || !form.frequency.trim() || !audioFile || !artFile) {
+    if (!resolvedId || !form.title.trim() || !form.frequency.trim() || !audioFile || !(artFile || embeddedArt)) {
       setError('Please fill in id/title/frequency and choose both audio + artwork files.');
       return;
     }
@@ -186,54 +465,69 @@ function TuneStationPage() {
       body.set('lon', form.lon.trim());
       body.set('signal', form.signal);
       body.set('tags', JSON.stringify(normalizedTags));
-      body.set('audio', audioFile);
-      body.set('art', artFile);
-
-      const response = await postTuneStation(body, (percent) => {
-        setSubmitProgress((prev) => Math.max(prev, percent));
-      }, (stage) => {
-        setSubmitStage(stage);
-      });
-
-      const raw = response.text;
-      let data = response.payload && typeof response.payload === 'object' ? response.payload : null;
-      if (!data && raw) {
-        try {
-          data = JSON.parse(raw);
-        } catch (_error) {
-          data = null;
+      body.set('publishAt', scheduleTimeFromInput(form.publishAt));
+      body.set('expireAt', scheduleTimeFromInput(form.expireAt));
+      body.set('status', form.draft ? 'draft' : '');
+
+      // Audio goes up in resumable chunks; the artwork is small enough to ride
+      // along with the form. Both share the 1–90% upload band. An embedded
+      // cover isn't sent: the server reads it from the audio.
+      const formBytes = (artFile?.size || 0) + (tracklistFile?.size || 0);
+      const totalBytes = Math.max(1, audioFile.size + formBytes);
+      const reportUpload = (bytesSent) => {
+        setSubmitProgress((prev) => Math.max(prev, 1, Math.min(90, Math.round((bytesSent / totalBytes) * 90))));
+        setSubmitStage('Uploading files');
+      };
+      let audioUploadId;
+      try {
+        audioUploadId = await uploadFileResumable(audioFile, { session, onProgress: reportUpload });
+      } catch (uploadError) {
+        if (uploadError.status === 401) {
+          clearAdminSession();
+          setSession(null);
         }
+        throw uploadError;
+      }
+      body.set('audioUpload', audioUploadId);
+      if (artFile) {
+        body.set('art', artFile);
+      }
+      if (tracklistFile) {
+        body.set('tracklist', tracklistFile);
       }
 
-      if (data?.type === 'error' && data?.error) {
-        throw new Error(data.error);
+      const response = await postTuneStation(body, session, (ratio) => reportUpload(audioFile.size + ratio * formBytes));
+      const data = response.payload;
+
+      if (response.status === 401) {
+        clearAdminSession();
+        setSession(null);
+        throw new Error('Your session has expired. Sign in again.');
       }
 
-      if (!response.ok || !data?.ok || !data?.station) {
+      if (!response.ok || !data?.ok || !data?.job?.id) {
         const message =
           data?.error ||
-          (raw && !data ? raw : '') ||
+          (response.text && !data ? response.text : '') ||
           (response.status >= 500
             ? 'Upload failed. Check that `npm run admin-api` is running.'
             : `Station upload failed (${response.status}).`);
         throw new Error(message);
       }
 
-      setSubmitProgress(100);
-      setSubmitStage('Done');
-      setResult(data.station);
+      forgetPendingUpload(audioFile);
+      const station = await followIngestJob(data.job.id, () => false);
+      setResult(station);
       setForm(INITIAL_FORM);
       setPendingTag(STATION_TAG_OPTIONS[0]);
       setAudioFile(null);
       setArtFile(null);
+      setEmbeddedArt(null);
+      setTracklistFile(null);
     } catch (submissionError) {
       setError(submissionError.message || 'Station upload failed.');
     } finally {
-      setSubmitting(false);
-      window.setTimeout(() => {
-        setSubmitProgress(0);
-        setSubmitStage('');
-      }, 420);
+      finishSubmission();
     }
   }
 
@@ -261,116 +555,236 @@ function TuneStationPage() {
           </header>
           <div className="panel-rule" />
 
-          <form className="tune-form" onSubmit={handleSubmit}>
-            <label>
-              Station ID
-              <input value={form.id} onChange={(event) => updateField('id', event.target.value)} placeholder="auto-from-title" />
-            </label>
+          {!session ? (
+            <form className="tune-form" onSubmit={handleSignIn}>
+              <label>
+                Username
+                <input
+                  autoComplete="username"
+                  value={credentials.username}
+                  onChange={(event) => setCredentials((prev) => ({ ...prev, username: event.target.value }))}
+                />
+              </label>
 
-            <label>
-              Title
-              <input required value={form.title} onChange={(event) => updateField('title', event.target.value)} placeholder="Station title" />
-            </label>
+              <label>
+                Password
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={credentials.password}
+                  onChange={(event) => setCredentials((prev) => ({ ...prev, password: event.target.value }))}
+                />
+              </label>
 
-            <label>
-              Host
-              <input value={form.host} onChange={(event) => updateField('host', event.target.value)} placeholder="Host name" />
-            </label>
+              <button type="submit" className="tune-submit" disabled={isSigningIn}>
+                {isSigningIn ? 'Signing in…' : 'Sign In'}
+              </button>
+
+              {error ? <p className="tune-error">{error}</p> : null}
+            </form>
+          ) : (
+            <form className="tune-form" onSubmit={handleSubmit}>
+              <p className="tune-session">
+                Signed in as {session.user.username} ({session.user.role})
+                <button type="button" className="tune-sign-out" onClick={handleSignOut}>
+                  sign out
+                </button>
+              </p>
 
-            <div className="tune-grid">
               <label>
-                Frequency (MHz)
-                <input required value={form.frequency} onChange={(event) => updateField('frequency', event.target.value)} placeholder="93.20" />
+                Station ID
+                <input value={form.id} onChange={(event) => updateField('id', event.target.value)} placeholder="auto-from-title" />
               </label>
+
               <label>
-                Signal (1-4)
-                <select value={form.signal} onChange={(event) => updateField('signal', event.target.value)}>
-                  <option value="1">1</option>
-                  <option value="2">2</option>
-                  <option value="3">3</option>
-                  <option value="4">4</option>
-                </select>
+                Title
+                <input required value={form.title} onChange={(event) => updateField('title', event.target.value)} placeholder="Station title" />
               </label>
-            </div>
 
-            <div className="tune-grid tune-grid-equal">
               <label>
-                Latitude
+                Host
+                <input value={form.host} onChange={(event) => updateField('host', event.target.value)} placeholder="Host name" />
+              </label>
+
+              <div className="tune-grid">
+                <label>
+                  Frequency (MHz)
+                  <input required value={form.frequency} onChange={(event) => updateField('frequency', event.target.value)} placeholder="93.20" />
+                </label>
+                <label>
+                  Signal (1-4)
+                  <select value={form.signal} onChange={(event) => updateField('signal', event.target.value)}>
+                    <option value="1">1</option>
+                    <option value="2">2</option>
+                    <option value="3">3</option>
+                    <option value="4">4</option>
+                  </select>
+                </label>
+              </div>
+
+              {frequencyHelp ? (
+                <div className="frequency-help">
+                  {frequencyHelp.collisions.length > 0 ? (
+                    <p className="tune-error">
+                      Taken by {frequencyHelp.collisions.map((station) => `${station.title} (${formatFrequency(station.frequency)})`).join(', ')}
+                    </p>
+                  ) : frequencyHelp.nearby.length > 0 ? (
+                    <p className="frequency-help-warning">
+                      One tick from {frequencyHelp.nearby.map((station) => `${station.title} (${formatFrequency(station.frequency)})`).join(', ')}
+                    </p>
+                  ) : null}
+                  <div className="tag-chip-list" aria-label="Free frequencies">
+                    <span className="frequency-help-label">free</span>
+                    {frequencyHelp.suggestions.map((frequency) => (
+                      <button
+                        key={frequency}
+                        type="button"
+                        className="tag-chip"
+                        onClick={() => updateField('frequency', formatFrequency(frequency))}
+                      >
+                        {formatFrequency(frequency)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : null}
+
+              <div className="tune-grid tune-grid-equal">
+                <label>
+                  Latitude
+                  <input
+                    value={form.lat}
+                    onChange={(event) => updateField('lat', event.target.value)}
+                    placeholder="51.507389"
+                  />
+                </label>
+                <label>
+                  Longitude
+                  <input
+                    value={form.lon}
+                    onChange={(event) => updateField('lon', event.target.value)}
+                    placeholder="-0.127500"
+                  />
+                </label>
+              </div>
+
+              <div className="tune-grid tune-grid-equal">
+                <label>
+                  Publish at (optional)
+                  <input
+                    type="datetime-local"
+                    value={form.publishAt}
+                    onChange={(event) => updateField('publishAt', event.target.value)}
+                  />
+                </label>
+                <label>
+                  Expire at (optional)
+                  <input
+                    type="datetime-local"
+                    value={form.expireAt}
+                    onChange={(event) => updateField('expireAt', event.target.value)}
+                  />
+                </label>
+              </div>
+
+              <label>
+                Tags
+                <div className="tag-input-row">
+                  <select value={pendingTag} onChange={(event) => setPendingTag(event.target.value)}>
+                    {STATION_TAG_OPTIONS.map((tag) => (
+                      <option key={tag} value={tag}>
+                        {tag}
+                      </option>
+                    ))}
+                  </select>
+                  <button type="button" className="tag-add" onClick={addTag}>
+                    add
+                  </button>
+                </div>
+                <div className="tag-chip-list" aria-label="Selected tags">
+                  {form.tags.length === 0 ? (
+                    <span className="tag-chip tag-chip-empty">No tags selected</span>
+                  ) : (
+                    form.tags.map((tag) => (
+                      <button key={tag} type="button" className="tag-chip" onClick={() => removeTag(tag)}>
+                        {tag}
+                      </button>
+                    ))
+                  )}
+                </div>
+              </label>
+
+              <label>
+                Audio Upload (source file)
+                <input
+                  required
+                  type="file"
+                  accept="audio/*"
+                  onChange={handleAudioChange}
+                />
+                {pendingAudioUpload ? (
+                  <span className="tune-upload-resume">
+                    Resumes an earlier upload at {Math.floor((pendingAudioUpload.offset / pendingAudioUpload.size) * 100)}%
+                  </span>
+                ) : null}
+              </label>
+
+              <label>
+                Artwork Upload
                 <input
-                  value={form.lat}
-                  onChange={(event) => updateField('lat', event.target.value)}
-                  placeholder="51.507389"
+                  required={!embeddedArt}
+                  type="file"
+                  accept="image/*"
+                  onChange={(event) => setArtFile(event.target.files?.[0] ?? null)}
                 />
+                {artPreviewUrl ? (
+                  <span className="tune-art-preview">
+                    <img src={artPreviewUrl} alt="" />
+                    {artFile ? null : 'Using the cover embedded in the audio file'}
+                  </span>
+                ) : null}
               </label>
+
               <label>
-                Longitude
+                Tracklist (optional .cue or timestamped .txt)
                 <input
-                  value={form.lon}
-                  onChange={(event) => updateField('lon', event.target.value)}
-                  placeholder="-0.127500"
+                  type="file"
+                  accept=".cue,.txt,text/plain"
+                  onChange={(event) => setTracklistFile(event.target.files?.[0] ?? null)}
                 />
               </label>
-            </div>
 
-            <label>
-              Tags
-              <div className="tag-input-row">
-                <select value={pendingTag} onChange={(event) => setPendingTag(event.target.value)}>
-                  {STATION_TAG_OPTIONS.map((tag) => (
-                    <option key={tag} value={tag}>
-                      {tag}
-                    </option>
-                  ))}
-                </select>
-                <button type="button" className="tag-add" onClick={addTag}>
-                  add
-                </button>
-              </div>
-              <div className="tag-chip-list" aria-label="Selected tags">
-                {form.tags.length === 0 ? (
-                  <span className="tag-chip tag-chip-empty">No tags selected</span>
-                ) : (
-                  form.tags.map((tag) => (
-                    <button key={tag} type="button" className="tag-chip" onClick={() => removeTag(tag)}>
-                      {tag}
-                    </button>
-                  ))
-                )}
-              </div>
-            </label>
-
-            <label>
-              Audio Upload (source file)
-              <input
-                required
-                type="file"
-                accept="audio/*"
-                onChange={(event) => setAudioFile(event.target.files?.[0] ?? null)}
-              />
-            </label>
-
-            <label>
-              Artwork Upload
-              <input
-                required
-                type="file"
-                accept="image/*"
-                onChange={(event) => setArtFile(event.target.files?.[0] ?? null)}
-              />
-            </label>
-
-            <button type="submit" className="tune-submit" disabled={isSubmitting}>
-              {isSubmitting ? 'Tuning…' : 'Tune Station'}
-            </button>
-            {isSubmitting ? <p className="tune-progress">{submitProgress}%{submitStage ? ` · ${submitStage}` : ''}</p> : null}
-
-            {error ? <p className="tune-error">{error}</p> : null}
-            {result ? (
-              <p className="tune-ok">
-                Saved {result.title} at {result.frequency} MHz
-              </p>
-            ) : null}
-          </form>
+              <label className="tune-checkbox">
+                <input type="checkbox" checked={form.draft} onChange={(event) => updateField('draft', event.target.checked)} />
+                Save as draft (preview before publishing)
+              </label>
+
+              <button type="submit" className="tune-submit" disabled={isSubmitting}>
+                {isSubmitting ? 'Tuning…' : form.draft ? 'Save Draft' : 'Tune Station'}
+              </button>
+              {isSubmitting ? <p className="tune-progress">{submitProgress}%{submitStage ? ` · ${submitStage}` : ''}</p> : null}
+
+              {error ? <p className="tune-error">{error}</p> : null}
+              {result ? (
+                <p className="tune-ok">
+                  Saved {result.title} at {formatFrequency(result.frequency)} MHz{isStationDraft(result) ? ' as a draft' : ''}
+                </p>
+              ) : null}
+              {isStationDraft(result) ? (
+                <div className="tune-draft">
+                  {previewLink ? (
+                    <a href={previewLink} target="_blank" rel="noreferrer">
+                      Open private preview
+                    </a>
+                  ) : null}
+                  <button type="button" className="tune-sign-out" onClick={publishResult} disabled={isPublishing}>
+                    {isPublishing ? 'publishing…' : 'publish'}
+                  </button>
+                </div>
+              ) : null}
+            </form>
+          )}
+          {session?.user.role === 'admin' ? <ManifestHistoryPanel session={session} onUnauthorized={handleSignOut} /> : null}
         </section>
       </main>
     </div>
@@ -0,0 +1,89 @@
+import { useEffect, useRef, useState } from 'react';
+import { syncedOffset } from './syncClock';
+
+const PLAYHEAD_REFRESH_MS = 500;
+const peaksCache = new Map();
+
+function loadPeaks(url) {
+  if (!peaksCache.has(url)) {
+    const request = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Peaks request failed (${response.status})`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        peaksCache.delete(url);
+        throw error;
+      });
+    peaksCache.set(url, request);
+  }
+  return peaksCache.get(url);
+}
+
+function WaveformBars({ peaks }) {
+  return (
+    <svg viewBox={`0 0 ${peaks.length} 255`} preserveAspectRatio="none" aria-hidden="true">
+      {peaks.map((peak, index) => {
+        const height = Math.max(6, peak);
+        return <rect key={index} x={index} y={(255 - height) / 2} width={0.7} height={height} />;
+      })}
+    </svg>
+  );
+}
+
+function WaveformStrip({ peaksUrl, duration }) {
+  const stripRef = useRef(null);
+  const [waveform, setWaveform] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setWaveform(null);
+    loadPeaks(peaksUrl)
+      .then((payload) => {
+        if (!cancelled && Array.isArray(payload?.peaks)) {
+          setWaveform(payload);
+        }
+      })
+      .catch(() => {
+        // Without peaks the strip stays hidden.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [peaksUrl]);
+
+  const loopDuration = Number.isFinite(duration) && duration > 0 ? duration : waveform?.duration;
+
+  useEffect(() => {
+    const strip = stripRef.current;
+    if (!strip || !loopDuration) {
+      return undefined;
+    }
+
+    const update = () => {
+      const progress = Math.min(1, syncedOffset(loopDuration) / loopDuration);
+      strip.style.setProperty('--waveform-progress', `${(progress * 100).toFixed(3)}%`);
+    };
+    update();
+    const intervalId = window.setInterval(update, PLAYHEAD_REFRESH_MS);
+    return () => window.clearInterval(intervalId);
+  }, [loopDuration, waveform]);
+
+  if (!waveform) {
+    return null;
+  }
+
+  return (
+    <div ref={stripRef} className="waveform-strip" role="img" aria-label="Position in the synced loop">
+      <WaveformBars peaks={waveform.peaks} />
+      <div className="waveform-played">
+        <WaveformBars peaks={waveform.peaks} />
+      </div>
+      <span className="waveform-playhead" aria-hidden="true" />
+    </div>
+  );
+}
+
+export default WaveformStrip;
@@ -0,0 +1,55 @@
+export const ADMIN_SESSION_STORAGE_KEY = 'offley_admin_session';
+
+export function readAdminSession() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(ADMIN_SESSION_STORAGE_KEY) || 'null');
+    if (!parsed?.token || !parsed?.user) {
+      return null;
+    }
+    if (parsed.expiresAt && Date.parse(parsed.expiresAt) <= Date.now()) {
+      window.localStorage.removeItem(ADMIN_SESSION_STORAGE_KEY);
+      return null;
+    }
+    return parsed;
+  } catch (_error) {
+    return null;
+  }
+}
+
+export function storeAdminSession(session) {
+  window.localStorage.setItem(
+    ADMIN_SESSION_STORAGE_KEY,
+    JSON.stringify({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user: session.user
+    })
+  );
+}
+
+export function clearAdminSession() {
+  window.localStorage.removeItem(ADMIN_SESSION_STORAGE_KEY);
+}
+
+export function adminAuthHeaders(session = readAdminSession()) {
+  return session?.token ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+export async function signInAdmin(username, password) {
+  const response = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data?.ok || !data?.token) {
+    throw new Error(
+      data?.error ||
+        (response.status >= 500 ? 'Sign in failed. Check that `npm run admin-api` is running.' : `Sign in failed (${response.status}).`)
+    );
+  }
+  storeAdminSession(data);
+  return readAdminSession();
+}
@@ -0,0 +1,151 @@
+export const AUDIO_LADDER = [
+  { codec: 'aac', bitrate: 64, extension: 'm4a', mimeType: 'audio/mp4; codecs="mp4a.40.2"' },
+  { codec: 'mp3', bitrate: 128, extension: 'mp3', mimeType: 'audio/mpeg' },
+  { codec: 'opus', bitrate: 256, extension: 'webm', mimeType: 'audio/webm; codecs="opus"' }
+];
+export const PRIMARY_RENDITION = AUDIO_LADDER.find((rendition) => rendition.codec === 'mp3');
+export const DEFAULT_BITRATE_KBPS = PRIMARY_RENDITION.bitrate;
+export const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+export const HLS_SEGMENT_SECONDS = 6;
+
+const THROUGHPUT_HEADROOM = 0.6;
+const THROUGHPUT_SAMPLE_LIMIT = 12;
+const MIN_SAMPLE_BYTES = 64 * 1024;
+
+export function renditionUrl(baseName, rendition) {
+  return `/media/audio/${rendition.bitrate}k/${baseName}.${rendition.extension}`;
+}
+
+export function hlsPlaylistUrl(baseName) {
+  return `/media/hls/${baseName}/index.m3u8`;
+}
+
+export function parseHlsPlaylist(content) {
+  const segmentDurations = [];
+  for (const line of String(content || '').split(/\r?\n/)) {
+    const segment = line.match(/^#EXTINF:([\d.]+)/);
+    if (segment) {
+      segmentDurations.push(Number.parseFloat(segment[1]));
+    }
+  }
+  const duration = segmentDurations.reduce((total, value) => total + value, 0);
+  return {
+    segmentDurations,
+    duration: Number(duration.toFixed(3))
+  };
+}
+
+export function hlsSegmentIndex(hls, offsetSeconds) {
+  const segmentSeconds = Number(hls?.segmentDuration) || HLS_SEGMENT_SECONDS;
+  const segmentCount = Number.parseInt(hls?.segmentCount, 10);
+  const index = Math.floor(Math.max(0, Number(offsetSeconds) || 0) / segmentSeconds);
+  return Number.isFinite(segmentCount) && segmentCount > 0 ? Math.min(index, segmentCount - 1) : index;
+}
+
+// The packager only targets HLS_SEGMENT_SECONDS, so the real segment lengths
+// come from the playlist's #EXTINF lines. Fetched once per playlist (the URLs
+// are content-hashed); resolves to null when the playlist can't be read.
+const hlsSegmentDurationsByPlaylist = new Map();
+
+export function fetchHlsSegmentDurations(playlistUrl) {
+  if (!hlsSegmentDurationsByPlaylist.has(playlistUrl)) {
+    const request = fetch(playlistUrl)
+      .then((response) => (response.ok ? response.text() : Promise.reject(new Error(`Playlist request failed (${response.status})`))))
+      .then((content) => {
+        const { segmentDurations } = parseHlsPlaylist(content);
+        return segmentDurations.length > 0 ? segmentDurations : null;
+      })
+      .catch(() => {
+        hlsSegmentDurationsByPlaylist.delete(playlistUrl);
+        return null;
+      });
+    hlsSegmentDurationsByPlaylist.set(playlistUrl, request);
+  }
+  return hlsSegmentDurationsByPlaylist.get(playlistUrl);
+}
+
+// Start of the segment holding the offset: summed from segmentDurations when
+// given, else assuming every segment is exactly segmentDuration long.
+export function hlsSegmentStart(hls, offsetSeconds, segmentDurations = null) {
+  const offset = Math.max(0, Number(offsetSeconds) || 0);
+  if (!Array.isArray(segmentDurations) || segmentDurations.length === 0) {
+    return hlsSegmentIndex(hls, offset) * (Number(hls?.segmentDuration) || HLS_SEGMENT_SECONDS);
+  }
+  let start = 0;
+  for (let index = 0; index < segmentDurations.length - 1 && start + segmentDurations[index] <= offset; index += 1) {
+    start += segmentDurations[index];
+  }
+  return Number(start.toFixed(3));
+}
+
+// A media fragment at the segment boundary makes the first media request the
+// segment holding the synced offset rather than segment 0; the exact offset is
+// set once metadata arrives.
+export function hlsJoinUrl(hls, offsetSeconds, segmentDurations = null) {
+  if (!hls?.playlist) {
+    return null;
+  }
+  const startAt = hlsSegmentStart(hls, offsetSeconds, segmentDurations);
+  return startAt > 0 ? `${hls.playlist}#t=${startAt}` : hls.playlist;
+}
+
+// `track` is always the 128k MP3, so stations ingested before the ladder
+// existed (or without any `renditions`) still get exactly one choice.
+export function stationRenditions(station) {
+  const renditions = Array.isArray(station?.renditions) ? station.renditions.filter((rendition) => rendition?.url) : [];
+  if (station?.track && !renditions.some((rendition) => rendition.url === station.track)) {
+    renditions.push({
+      codec: PRIMARY_RENDITION.codec,
+      bitrate: PRIMARY_RENDITION.bitrate,
+      mimeType: PRIMARY_RENDITION.mimeType,
+      url: station.track
+    });
+  }
+  return renditions.sort((a, b) => a.bitrate - b.bitrate);
+}
+
+export function estimateThroughputKbps() {
+  const samples = [];
+  if (typeof performance !== 'undefined' && typeof performance.getEntriesByType === 'function') {
+    const entries = performance.getEntriesByType('resource').slice(-THROUGHPUT_SAMPLE_LIMIT * 4);
+    for (const entry of entries) {
+      const elapsedMs = entry.responseEnd - entry.requestStart;
+      if (entry.transferSize >= MIN_SAMPLE_BYTES && elapsedMs > 0) {
+        samples.push((entry.transferSize * 8) / elapsedMs);
+      }
+    }
+  }
+
+  if (samples.length > 0) {
+    const recent = samples.slice(-THROUGHPUT_SAMPLE_LIMIT).sort((a, b) => a - b);
+    return recent[Math.floor(recent.length / 2)];
+  }
+
+  const downlinkMbps = Number(typeof navigator !== 'undefined' ? navigator.connection?.downlink : NaN);
+  return Number.isFinite(downlinkMbps) && downlinkMbps > 0 ? downlinkMbps * 1000 : null;
+}
+
+export function selectRendition(station, { canPlayType, throughputKbps = null, maxBitrate = Infinity, saveData = false } = {}) {
+  const all = stationRenditions(station);
+  const playable = canPlayType ? all.filter((rendition) => canPlayType(rendition.mimeType) !== '') : all;
+  const candidates = playable.length > 0 ? playable : all;
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  let budget = Number.isFinite(throughputKbps) ? throughputKbps * THROUGHPUT_HEADROOM : DEFAULT_BITRATE_KBPS;
+  budget = Math.min(budget, maxBitrate);
+  if (saveData) {
+    budget = Math.min(budget, candidates[0].bitrate);
+  }
+
+  const affordable = candidates.filter((rendition) => rendition.bitrate <= budget);
+  return affordable.length > 0 ? affordable[affordable.length - 1] : candidates[0];
+}
+
+export function lowerBitrateCap(station, currentBitrate, { canPlayType } = {}) {
+  const lower = stationRenditions(station)
+    .filter((rendition) => !canPlayType || canPlayType(rendition.mimeType) !== '')
+    .filter((rendition) => rendition.bitrate < currentBitrate);
+  return lower.length > 0 ? lower[lower.length - 1].bitrate : null;
+}
@@ -0,0 +1,442 @@
+// Reads title, artist and embedded cover art from ID3v2 (MP3), Vorbis
+// comments (FLAC, Ogg Vorbis/Opus) and MP4 `ilst` atoms. Shared by the tune form
+// (File slices) and the admin API (file handle reads) through `readRange`,
+// so large files are never read whole.
+const MAX_TAG_BYTES = 16 * 1024 * 1024;
+const FRONT_COVER = 3;
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+function ascii(bytes, start, length) {
+  return latin1.decode(bytes.subarray(start, start + length));
+}
+
+function uint32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function uint32le(bytes, offset) {
+  return ((bytes[offset + 3] << 24) | (bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]) >>> 0;
+}
+
+function syncsafe(bytes, offset) {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function cleanText(value) {
+  const text = String(value || '').split('\0')[0].trim();
+  return text || null;
+}
+
+function imageMimeType(value, data) {
+  const mime = String(value || '').toLowerCase();
+  if (mime === 'jpg' || mime === 'image/jpg' || mime === 'image/jpeg' || (data[0] === 0xff && data[1] === 0xd8)) {
+    return 'image/jpeg';
+  }
+  if (mime === 'png' || mime === 'image/png' || (data[0] === 0x89 && data[1] === 0x50)) {
+    return 'image/png';
+  }
+  return mime.startsWith('image/') ? mime : null;
+}
+
+function picture(mimeType, data, type) {
+  const resolvedType = imageMimeType(mimeType, data);
+  return resolvedType && data.length > 0 ? { mimeType: resolvedType, data, type } : null;
+}
+
+// Prefer the front cover; otherwise the first picture in the file.
+function pickPicture(pictures) {
+  const found = pictures.filter(Boolean);
+  return found.find((entry) => entry.type === FRONT_COVER) || found[0] || null;
+}
+
+function tagsResult(title, artist, pictures) {
+  const cover = pickPicture(pictures);
+  if (!title && !artist && !cover) {
+    return null;
+  }
+  return {
+    title: title || null,
+    artist: artist || null,
+    picture: cover ? { mimeType: cover.mimeType, data: cover.data } : null
+  };
+}
+
+function removeUnsynchronisation(bytes) {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let index = 0; index < bytes.length; index += 1) {
+    output[length] = bytes[index];
+    length += 1;
+    if (bytes[index] === 0xff && bytes[index + 1] === 0x00) {
+      index += 1;
+    }
+  }
+  return output.subarray(0, length);
+}
+
+function decodeId3Text(encoding, bytes) {
+  if (encoding === 1 || encoding === 2) {
+    let littleEndian = encoding === 1;
+    let start = 0;
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      littleEndian = true;
+      start = 2;
+    } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      littleEndian = false;
+      start = 2;
+    }
+    return new TextDecoder(littleEndian ? 'utf-16le' : 'utf-16be').decode(bytes.subarray(start));
+  }
+  return (encoding === 3 ? utf8 : latin1).decode(bytes);
+}
+
+// Index just past a string terminator: one zero byte, or an aligned pair for UTF-16.
+function afterTerminator(bytes, start, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let index = start; index + 1 < bytes.length; index += 2) {
+      if (bytes[index] === 0 && bytes[index + 1] === 0) {
+        return index + 2;
+      }
+    }
+    return bytes.length;
+  }
+  const index = bytes.indexOf(0, start);
+  return index < 0 ? bytes.length : index + 1;
+}
+
+function parseId3Picture(frame, isV22) {
+  const encoding = frame[0];
+  let offset = 1;
+  let mimeType;
+  if (isV22) {
+    mimeType = ascii(frame, 1, 3);
+    offset = 4;
+  } else {
+    const end = afterTerminator(frame, 1, 0);
+    mimeType = ascii(frame, 1, end - 2);
+    offset = end;
+  }
+  const type = frame[offset];
+  const dataStart = afterTerminator(frame, offset + 1, encoding);
+  return picture(mimeType, frame.slice(dataStart), type);
+}
+
+function parseId3(tag, majorVersion, flags) {
+  const body = flags & 0x80 && majorVersion < 4 ? removeUnsynchronisation(tag) : tag;
+  const isV22 = majorVersion === 2;
+  let offset = 0;
+  if (flags & 0x40 && !isV22) {
+    offset = majorVersion === 4 ? syncsafe(body, 0) : uint32(body, 0) + 4;
+  }
+
+  const idLength = isV22 ? 3 : 4;
+  const headerLength = isV22 ? 6 : 10;
+  const text = {};
+  const pictures = [];
+  while (offset + headerLength <= body.length) {
+    const id = ascii(body, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) {
+      break;
+    }
+    const size = isV22
+      ? (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5]
+      : majorVersion === 4
+        ? syncsafe(body, offset + 4)
+        : uint32(body, offset + 4);
+    const formatFlags = isV22 ? 0 : body[offset + 9];
+    let frame = body.subarray(offset + headerLength, offset + headerLength + size);
+    offset += headerLength + size;
+
+    // Compressed or encrypted frames are skipped.
+    if (majorVersion === 4 ? formatFlags & 0x0c : majorVersion === 3 && formatFlags & 0xc0) {
+      continue;
+    }
+    if (majorVersion === 4 && formatFlags & 0x02) {
+      frame = removeUnsynchronisation(frame);
+    }
+    if (majorVersion === 4 && formatFlags & 0x01) {
+      frame = frame.subarray(4);
+    }
+    if (frame.length === 0) {
+      continue;
+    }
+
+    if (id === 'APIC' || id === 'PIC') {
+      pictures.push(parseId3Picture(frame, isV22));
+    } else if (id.startsWith('T') && id !== 'TXXX' && id !== 'TXX') {
+      text[id] = cleanText(decodeId3Text(frame[0], frame.subarray(1)));
+    }
+  }
+
+  return tagsResult(
+    text.TIT2 || text.TT2,
+    text.TPE1 || text.TP1 || text.TPE2 || text.TP2,
+    pictures
+  );
+}
+
+async function readId3(readRange, header) {
+  const size = syncsafe(header, 6);
+  if (size <= 0 || size > MAX_TAG_BYTES) {
+    return null;
+  }
+  const tag = await readRange(10, size);
+  return parseId3(tag, header[3], header[5]);
+}
+
+function base64Bytes(value) {
+  const binary = atob(String(value).replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+}
+
+function parseFlacPicture(bytes) {
+  let offset = 0;
+  const type = uint32(bytes, offset);
+  const mimeLength = uint32(bytes, offset + 4);
+  const mimeType = ascii(bytes, offset + 8, mimeLength);
+  offset += 8 + mimeLength;
+  offset += 4 + uint32(bytes, offset);
+  offset += 16;
+  const dataLength = uint32(bytes, offset);
+  return picture(mimeType, bytes.slice(offset + 4, offset + 4 + dataLength), type);
+}
+
+function parseVorbisComments(bytes) {
+  const comments = {};
+  const pictures = [];
+  let offset = 4 + uint32le(bytes, 0);
+  const count = uint32le(bytes, offset);
+  offset += 4;
+  for (let index = 0; index < count && offset + 4 <= bytes.length; index += 1) {
+    const length = uint32le(bytes, offset);
+    const entry = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      continue;
+    }
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1);
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      try {
+        pictures.push(parseFlacPicture(base64Bytes(value)));
+      } catch (_error) {
+        // A malformed picture shouldn't hide the text tags.
+      }
+    } else if (!(key in comments)) {
+      comments[key] = cleanText(value);
+    }
+  }
+  return { comments, pictures };
+}
+
+async function readFlac(readRange) {
+  let offset = 4;
+  let comments = {};
+  const pictures = [];
+  for (let blocks = 0; blocks < 128; blocks += 1) {
+    const header = await readRange(offset, 4);
+    if (header.length < 4) {
+      break;
+    }
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    if (type === 4 || type === 6) {
+      const block = await readRange(offset + 4, Math.min(length, MAX_TAG_BYTES));
+      if (type === 4) {
+        const parsed = parseVorbisComments(block);
+        comments = parsed.comments;
+        pictures.push(...parsed.pictures);
+      } else {
+        pictures.push(parseFlacPicture(block));
+      }
+    }
+    offset += 4 + length;
+    if (header[0] & 0x80) {
+      break;
+    }
+  }
+  return tagsResult(comments.TITLE, comments.ARTIST || comments.ALBUMARTIST, pictures);
+}
+
+// The comment header is the second packet of the stream and can span many
+// pages when it carries cover art.
+async function readOgg(readRange) {
+  const chunks = [];
+  let packetIndex = 0;
+  let offset = 0;
+  let collected = 0;
+  while (collected <= MAX_TAG_BYTES) {
+    const header = await readRange(offset, 27);
+    if (header.length < 27 || ascii(header, 0, 4) !== 'OggS') {
+      return null;
+    }
+    const segmentCount = header[26];
+    const lacing = await readRange(offset + 27, segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+    for (const segmentLength of lacing) {
+      if (packetIndex === 1 && segmentLength > 0) {
+        chunks.push(await readRange(dataOffset, segmentLength));
+        collected += segmentLength;
+      }
+      dataOffset += segmentLength;
+      if (segmentLength < 255) {
+        packetIndex += 1;
+        if (packetIndex === 2) {
+          return parseOggCommentPacket(concatBytes(chunks));
+        }
+      }
+    }
+    offset = dataOffset;
+  }
+  return null;
+}
+
+function concatBytes(chunks) {
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+function parseOggCommentPacket(packet) {
+  let prefix = 0;
+  if (packet[0] === 3 && ascii(packet, 1, 6) === 'vorbis') {
+    prefix = 7;
+  } else if (ascii(packet, 0, 8) === 'OpusTags') {
+    prefix = 8;
+  } else {
+    return null;
+  }
+  const { comments, pictures } = parseVorbisComments(packet.subarray(prefix));
+  return tagsResult(comments.TITLE, comments.ARTIST || comments.ALBUMARTIST, pictures);
+}
+
+function childAtoms(bytes, start, end) {
+  const atoms = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = uint32(bytes, offset);
+    const type = ascii(bytes, offset + 4, 4);
+    if (size === 0) {
+      size = end - offset;
+    }
+    if (size < 8 || offset + size > end) {
+      break;
+    }
+    atoms.push({ type, start: offset + 8, end: offset + size });
+    offset += size;
+  }
+  return atoms;
+}
+
+function findAtom(bytes, atoms, path) {
+  let current = atoms;
+  let found = null;
+  for (const type of path) {
+    found = current.find((atom) => atom.type === type);
+    if (!found) {
+      return null;
+    }
+    // `meta` is a full box: four bytes of version/flags before its children.
+    const childStart = type === 'meta' ? found.start + 4 : found.start;
+    current = childAtoms(bytes, childStart, found.end);
+  }
+  return { atom: found, children: current };
+}
+
+function mp4ItemData(bytes, item) {
+  const data = childAtoms(bytes, item.start, item.end).find((atom) => atom.type === 'data');
+  if (!data || data.end - data.start < 8) {
+    return null;
+  }
+  return { kind: uint32(bytes, data.start) & 0xffffff, value: bytes.subarray(data.start + 8, data.end) };
+}
+
+async function readMp4(readRange, size) {
+  let offset = 0;
+  while (offset + 8 <= size) {
+    const header = await readRange(offset, 16);
+    if (header.length < 8) {
+      return null;
+    }
+    let atomSize = uint32(header, 0);
+    const type = ascii(header, 4, 4);
+    let headerSize = 8;
+    if (atomSize === 1) {
+      atomSize = uint32(header, 8) * 2 ** 32 + uint32(header, 12);
+      headerSize = 16;
+    } else if (atomSize === 0) {
+      atomSize = size - offset;
+    }
+    if (atomSize < headerSize) {
+      return null;
+    }
+    if (type === 'moov') {
+      if (atomSize > MAX_TAG_BYTES) {
+        return null;
+      }
+      const moov = await readRange(offset + headerSize, atomSize - headerSize);
+      const ilst = findAtom(moov, childAtoms(moov, 0, moov.length), ['udta', 'meta', 'ilst']);
+      if (!ilst) {
+        return null;
+      }
+      const items = {};
+      for (const item of ilst.children) {
+        items[item.type] ??= mp4ItemData(moov, item);
+      }
+      const text = (key) => (items[key] ? cleanText(utf8.decode(items[key].value)) : null);
+      const cover = items.covr;
+      const coverType = cover?.kind === 14 ? 'image/png' : 'image/jpeg';
+      return tagsResult(text('©nam'), text('©ART') || text('aART'), [
+        cover ? picture(coverType, cover.value.slice(), FRONT_COVER) : null
+      ]);
+    }
+    offset += atomSize;
+  }
+  return null;
+}
+
+// `readRange(offset, length)` resolves to a Uint8Array, shorter at end of file.
+// Resolves to `{ title, artist, picture: { mimeType, data } | null }` or null
+// when the file carries no tags this understands.
+export async function readAudioTags(readRange, size) {
+  const header = await readRange(0, 12);
+  if (header.length < 4) {
+    return null;
+  }
+  const magic = ascii(header, 0, 4);
+  if (ascii(header, 0, 3) === 'ID3' && header.length >= 10) {
+    return readId3(readRange, header);
+  }
+  if (magic === 'fLaC') {
+    return readFlac(readRange);
+  }
+  if (magic === 'OggS') {
+    return readOgg(readRange);
+  }
+  if (ascii(header, 4, 4) === 'ftyp') {
+    return readMp4(readRange, size);
+  }
+  return null;
+}
+
+export function readFileTags(file) {
+  return readAudioTags(
+    async (offset, length) => new Uint8Array(await file.slice(offset, offset + length).arrayBuffer()),
+    file.size
+  );
+}
+
+export function pictureExtension(mimeType) {
+  return mimeType === 'image/png' ? '.png' : mimeType === 'image/webp' ? '.webp' : '.jpg';
+}
@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import { liveApiUrl } from './liveApi';
+
+const LISTENER_CHANNEL_RETRY_MS = 30000;
+
+// Heartbeats and counts are keyed by the dial position, e.g. `94.30MHz`.
+export function stationListenerKey(frequency) {
+  const parsed = Number.parseFloat(frequency);
+  return Number.isFinite(parsed) ? `${parsed.toFixed(2)}MHz` : null;
+}
+
+// What the player and the stations list show. The server's count already
+// includes this listener once their heartbeat lands; until then the station
+// being listened to still shows at least one.
+export function displayListenerCount(count, { tuned = false } = {}) {
+  const listeners = Number.isFinite(count) ? Math.max(0, count) : 0;
+  return tuned ? Math.max(1, listeners) : listeners;
+}
+
+function listenerEventsUrl(stationKeys) {
+  const query = stationKeys ? `?station=${encodeURIComponent(stationKeys.join(','))}` : '';
+  return liveApiUrl(`/api/listeners/events${query}`);
+}
+
+function readEventData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Live listener counts from the admin API's push channel, `{ [stationKey]: n }`.
+// `stationKeys` narrows the subscription; null means every station. Counts are
+// dropped while the channel is down rather than left to go stale.
+export function useListenerCounts(stationKeys, { enabled = true } = {}) {
+  const [counts, setCounts] = useState({});
+  const subscription = stationKeys ? stationKeys.filter(Boolean).join(',') : null;
+
+  useEffect(() => {
+    setCounts({});
+    if (!enabled || subscription === '' || typeof window.EventSource !== 'function') {
+      return undefined;
+    }
+    let stopped = false;
+    let source = null;
+    let retryTimer = null;
+
+    function open() {
+      if (stopped) {
+        return;
+      }
+      source = new window.EventSource(listenerEventsUrl(subscription === null ? null : subscription.split(',')));
+      source.addEventListener('snapshot', (event) => {
+        const data = readEventData(event);
+        if (data?.counts) {
+          setCounts(data.counts);
+        }
+      });
+      source.addEventListener('listeners', (event) => {
+        const data = readEventData(event);
+        if (data?.station && Number.isFinite(data.listeners)) {
+          setCounts((prev) => ({ ...prev, [data.station]: data.listeners }));
+        }
+      });
+      source.addEventListener('error', () => {
+        source?.close();
+        source = null;
+        setCounts({});
+        retryTimer = window.setTimeout(open, LISTENER_CHANNEL_RETRY_MS);
+      });
+    }
+
+    open();
+    return () => {
+      stopped = true;
+      window.clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [subscription, enabled]);
+
+  return counts;
+}
@@ -0,0 +1,7 @@
+// On localhost the player talks to the admin API directly (`vite preview` has
+// no proxy); deployed, the API shares the site's origin under /api.
+export const LOCAL_API_BASE = 'http://localhost:8787';
+
+export function liveApiUrl(pathname) {
+  return `${window.location.hostname === 'localhost' ? LOCAL_API_BASE : ''}${pathname}`;
+}
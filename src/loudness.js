@@ -0,0 +1,36 @@
+export const LOUDNESS_TARGET_LUFS = -16;
+export const MAX_TRUE_PEAK_DBTP = -1;
+export const GAIN_DB_MIN = -12;
+export const GAIN_DB_MAX = 12;
+
+// Gain that brings a station to the target integrated loudness, held back so
+// boosted quiet mixes never push their true peak above MAX_TRUE_PEAK_DBTP.
+export function gainDbForLoudness({ integratedLufs, truePeakDb } = {}) {
+  if (!Number.isFinite(integratedLufs)) {
+    return null;
+  }
+  let gainDb = LOUDNESS_TARGET_LUFS - integratedLufs;
+  if (Number.isFinite(truePeakDb)) {
+    gainDb = Math.min(gainDb, Math.max(0, MAX_TRUE_PEAK_DBTP - truePeakDb));
+  }
+  return Number(Math.max(GAIN_DB_MIN, Math.min(GAIN_DB_MAX, gainDb)).toFixed(1));
+}
+
+export function dbToGain(gainDb) {
+  return Number.isFinite(gainDb) ? 10 ** (gainDb / 20) : 1;
+}
+
+// Element volume can only turn a station down, so boosts are lost.
+export function dbToVolume(gainDb) {
+  return Math.min(1, dbToGain(gainDb));
+}
+
+// Every iOS browser is WebKit, where a media element routed through Web Audio
+// goes silent in the background and with HLS. iPadOS reports itself as a Mac.
+export function canRouteMediaThroughWebAudio(nav = globalThis.navigator) {
+  if (!nav) {
+    return false;
+  }
+  const isIos = /iPad|iPhone|iPod/.test(nav.userAgent || '') || (nav.platform === 'MacIntel' && nav.maxTouchPoints > 1);
+  return !isIos;
+}
@@ -0,0 +1,26 @@
+export const CAMELOT_PATTERN = /^(?:[1-9]|1[0-2])[AB]$/;
+
+const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+// Camelot numbers walk the circle of fifths with C major at 8B and its relative
+// minor (A minor) at 8A; a fifth is 7 semitones, and 7 is its own inverse mod 12.
+export function camelotKey(tonic, mode) {
+  const majorTonic = mode === 'major' ? tonic : (tonic + 3) % 12;
+  return `${((majorTonic * 7 + 7) % 12) + 1}${mode === 'major' ? 'B' : 'A'}`;
+}
+
+export function camelotKeyName(camelot) {
+  const source = String(camelot || '').trim().toUpperCase();
+  if (!CAMELOT_PATTERN.test(source)) {
+    return null;
+  }
+  const number = Number.parseInt(source, 10);
+  const majorTonic = (((number - 8 + 12) % 12) * 7) % 12;
+  return source.endsWith('B') ? `${MAJOR_NAMES[majorTonic]} major` : `${MINOR_NAMES[(majorTonic + 9) % 12]} minor`;
+}
+
+export function stationKeyLabel(station) {
+  const name = camelotKeyName(station?.key);
+  return name ? `${station.key} (${name})` : '-';
+}
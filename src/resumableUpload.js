@@ -0,0 +1,207 @@
+import { adminAuthHeaders } from './adminSession';
+
+const PENDING_UPLOADS_STORAGE_KEY = 'offley_pending_uploads';
+const CHUNK_RETRY_LIMIT = 5;
+const CHUNK_RETRY_BASE_MS = 1000;
+
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function fileFingerprint(file) {
+  return [file.name, file.size, file.lastModified].join(':');
+}
+
+function readPendingUploads() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(PENDING_UPLOADS_STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+function writePendingUpload(file, entry) {
+  const pending = readPendingUploads();
+  const key = fileFingerprint(file);
+  if (entry) {
+    pending[key] = entry;
+  } else {
+    delete pending[key];
+  }
+  window.localStorage.setItem(PENDING_UPLOADS_STORAGE_KEY, JSON.stringify(pending));
+}
+
+// Uploads are keyed by name/size/mtime, so picking the same file again after a
+// reload resumes where the last attempt stopped.
+export function pendingUploadFor(file) {
+  if (!file) {
+    return null;
+  }
+  const entry = readPendingUploads()[fileFingerprint(file)];
+  if (!entry?.id || Date.parse(entry.expiresAt) <= Date.now()) {
+    return null;
+  }
+  return entry;
+}
+
+async function readJson(response) {
+  return response.json().catch(() => null);
+}
+
+async function chunkChecksum(blob) {
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  let binary = '';
+  for (const byte of new Uint8Array(digest)) {
+    binary += String.fromCharCode(byte);
+  }
+  return `sha256 ${window.btoa(binary)}`;
+}
+
+function sendChunk(uploadId, offset, blob, checksum, session, onProgress) {
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    request.open('PATCH', `/api/uploads/${encodeURIComponent(uploadId)}`);
+    for (const [header, value] of Object.entries(adminAuthHeaders(session))) {
+      request.setRequestHeader(header, value);
+    }
+    request.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+    request.setRequestHeader('Upload-Offset', String(offset));
+    request.setRequestHeader('Upload-Checksum', checksum);
+
+    request.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) {
+        onProgress(event.loaded);
+      }
+    });
+    request.addEventListener('load', () => {
+      let payload = null;
+      try {
+        payload = request.responseText ? JSON.parse(request.responseText) : null;
+      } catch (_error) {
+        payload = null;
+      }
+      const serverOffset = Number.parseInt(request.getResponseHeader('Upload-Offset'), 10);
+      resolve({
+        status: request.status,
+        ok: request.status >= 200 && request.status < 300,
+        offset: Number.isFinite(serverOffset) ? serverOffset : null,
+        payload
+      });
+    });
+    request.addEventListener('error', () => resolve({ status: 0, ok: false, offset: null, payload: null }));
+    request.addEventListener('abort', () => reject(new Error('Upload was cancelled.')));
+
+    request.send(blob);
+  });
+}
+
+async function openUpload(file, session) {
+  const pending = pendingUploadFor(file);
+  if (pending) {
+    const response = await fetch(`/api/uploads/${encodeURIComponent(pending.id)}`, {
+      headers: adminAuthHeaders(session),
+      cache: 'no-store'
+    });
+    const data = await readJson(response);
+    if (response.ok && data?.upload?.size === file.size) {
+      return data.upload;
+    }
+    if (response.status === 401) {
+      throw uploadError('Your session has expired. Sign in again.', 401);
+    }
+    writePendingUpload(file, null);
+  }
+
+  const response = await fetch('/api/uploads', {
+    method: 'POST',
+    headers: { ...adminAuthHeaders(session), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: file.name, size: file.size })
+  });
+  const data = await readJson(response);
+  if (!response.ok || !data?.upload?.id) {
+    throw uploadError(data?.error || `Unable to start upload (${response.status}).`, response.status);
+  }
+  return data.upload;
+}
+
+// Sends `file` in checksummed chunks and resolves with the finished upload id.
+// `onProgress(bytesSent, totalBytes)` reports across resumes and retries.
+export async function uploadFileResumable(file, { session, onProgress = () => {} } = {}) {
+  const upload = await openUpload(file, session);
+  const chunkSize = upload.chunkSize || 8 * 1024 * 1024;
+  let offset = upload.offset || 0;
+  let failures = 0;
+  onProgress(offset, file.size);
+
+  while (offset < file.size) {
+    writePendingUpload(file, {
+      id: upload.id,
+      name: file.name,
+      size: file.size,
+      offset,
+      expiresAt: upload.expiresAt
+    });
+
+    const chunk = file.slice(offset, Math.min(file.size, offset + chunkSize));
+    const checksum = await chunkChecksum(chunk);
+    const chunkStart = offset;
+    const result = await sendChunk(upload.id, chunkStart, chunk, checksum, session, (loaded) =>
+      onProgress(chunkStart + loaded, file.size)
+    );
+
+    if (result.ok) {
+      offset = result.offset ?? chunkStart + chunk.size;
+      upload.expiresAt = result.payload?.upload?.expiresAt || upload.expiresAt;
+      failures = 0;
+      continue;
+    }
+    if (result.status === 401) {
+      throw uploadError('Your session has expired. Sign in again.', 401);
+    }
+    if (result.status === 404) {
+      writePendingUpload(file, null);
+      throw uploadError('The upload expired on the server. Submit again to start over.', 404);
+    }
+    // 409 (offset mismatch), 460 (checksum mismatch), 5xx and dropped
+    // connections all resume from wherever the server says it is.
+    if (result.status !== 0 && result.status !== 409 && result.status !== 460 && result.status < 500) {
+      throw uploadError(result.payload?.error || `Upload failed (${result.status}).`, result.status);
+    }
+    failures += 1;
+    if (failures > CHUNK_RETRY_LIMIT) {
+      throw uploadError('Upload keeps failing. Choose the same file and submit again to resume.', result.status);
+    }
+    await new Promise((resolve) => window.setTimeout(resolve, CHUNK_RETRY_BASE_MS * 2 ** (failures - 1)));
+    if (result.offset !== null) {
+      offset = result.offset;
+    } else {
+      const status = await fetch(`/api/uploads/${encodeURIComponent(upload.id)}`, {
+        headers: adminAuthHeaders(session),
+        cache: 'no-store'
+      }).catch(() => null);
+      const data = status?.ok ? await readJson(status) : null;
+      if (Number.isFinite(data?.upload?.offset)) {
+        offset = data.upload.offset;
+      }
+    }
+    onProgress(offset, file.size);
+  }
+
+  writePendingUpload(file, {
+    id: upload.id,
+    name: file.name,
+    size: file.size,
+    offset,
+    expiresAt: upload.expiresAt
+  });
+  return upload.id;
+}
+
+export function forgetPendingUpload(file) {
+  if (file) {
+    writePendingUpload(file, null);
+  }
+}
@@ -0,0 +1,23 @@
+export const ARTWORK_VARIANTS = [
+  { name: 'thumb', size: 160 },
+  { name: 'disc', size: 640 },
+  { name: 'full', size: 1200 }
+];
+export const ARTWORK_FORMATS = ['webp', 'jpeg'];
+
+const FORMAT_EXTENSIONS = { webp: 'webp', jpeg: 'jpg' };
+
+export function artworkVariantUrls(baseName) {
+  return Object.fromEntries(
+    ARTWORK_VARIANTS.map(({ name }) => [
+      name,
+      Object.fromEntries(ARTWORK_FORMATS.map((format) => [format, `/media/artwork/${baseName}/${name}.${FORMAT_EXTENSIONS[format]}`]))
+    ])
+  );
+}
+
+// Stations ingested before the artwork pipeline only have `art`.
+export function stationArtworkUrl(station, variant, format = 'jpeg') {
+  const urls = station?.artwork?.[variant];
+  return urls?.[format] || urls?.jpeg || station?.art || null;
+}
@@ -0,0 +1,477 @@
+import { GAIN_DB_MAX, GAIN_DB_MIN } from './loudness.js';
+import { CAMELOT_PATTERN } from './musicalKey.js';
+import { tracklistValidationErrors } from './tracklist.js';
+import { STATION_TAG_OPTIONS, normalizeStationTags } from './stationTags.js';
+
+export const MANIFEST_SCHEMA_VERSION = 2;
+export const FM_MIN = 87.5;
+export const FM_MAX = 108.0;
+export const FM_STEP = 0.1;
+export const SIGNAL_MIN = 1;
+export const SIGNAL_MAX = 4;
+export const DEFAULT_SIGNAL = 3;
+export const STATION_STATUSES = ['draft', 'published'];
+
+const STATION_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+const DMS_PATTERN = /(\d+(?:\.\d+)?)°\s*(\d+(?:\.\d+)?)'\s*(\d+(?:\.\d+)?)"?\s*([NSEW])/gi;
+const DECIMAL_PAIR_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+const SCHEDULE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+function roundCoordinate(value) {
+  return Number(value.toFixed(6));
+}
+
+function toLocation(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return {
+    lat: roundCoordinate(lat),
+    lon: roundCoordinate(lon)
+  };
+}
+
+export function parseLocation(rawValue) {
+  if (rawValue && typeof rawValue === 'object') {
+    return toLocation(Number.parseFloat(rawValue.lat), Number.parseFloat(rawValue.lon));
+  }
+
+  const source = String(rawValue || '').trim();
+  if (!source) {
+    return null;
+  }
+
+  const decimalMatch = source.replace(/\s*\n\s*/g, ', ').match(DECIMAL_PAIR_PATTERN);
+  if (decimalMatch) {
+    return toLocation(Number.parseFloat(decimalMatch[1]), Number.parseFloat(decimalMatch[2]));
+  }
+
+  const matches = [...source.matchAll(DMS_PATTERN)];
+  if (matches.length >= 2) {
+    const toDecimal = (degrees, minutes, seconds, hemisphere) => {
+      const value =
+        Number.parseFloat(degrees) +
+        Number.parseFloat(minutes) / 60 +
+        Number.parseFloat(seconds) / 3600;
+      return hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+    };
+
+    const lat = toDecimal(matches[0][1], matches[0][2], matches[0][3], matches[0][4].toUpperCase());
+    const lon = toDecimal(matches[1][1], matches[1][2], matches[1][3], matches[1][4].toUpperCase());
+    return toLocation(lat, lon);
+  }
+
+  return null;
+}
+
+export function parseFrequency(rawValue) {
+  const parsed = Number.parseFloat(rawValue);
+  return Number.isFinite(parsed) ? Number(parsed.toFixed(2)) : null;
+}
+
+export function formatFrequency(rawValue) {
+  const parsed = Number.parseFloat(rawValue);
+  return Number.isFinite(parsed) ? parsed.toFixed(2) : null;
+}
+
+export const DIAL_TICK_COUNT = Math.round((FM_MAX - FM_MIN) / FM_STEP) + 1;
+
+export function frequencyTickIndex(rawValue) {
+  const parsed = Number.parseFloat(rawValue);
+  return Number.isFinite(parsed) ? Math.round((parsed - FM_MIN) / FM_STEP) : null;
+}
+
+export function tickIndexFrequency(tickIndex) {
+  return Number((FM_MIN + tickIndex * FM_STEP).toFixed(2));
+}
+
+// publishAt/expireAt are ISO 8601 instants. Input without a zone is read as
+// UTC, and a bare date means midnight UTC.
+export function parseScheduleTime(rawValue) {
+  const source = String(rawValue ?? '').trim();
+  if (!source) {
+    return null;
+  }
+  const zoned = /^\d{4}-\d{2}-\d{2}$/.test(source)
+    ? `${source}T00:00:00Z`
+    : /(?:Z|[+-]\d{2}:?\d{2})$/i.test(source)
+      ? source
+      : `${source}Z`;
+  const time = Date.parse(zoned);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function scheduleWindow(station) {
+  const start = Date.parse(station?.publishAt);
+  const end = Date.parse(station?.expireAt);
+  return {
+    start: Number.isFinite(start) ? start : -Infinity,
+    end: Number.isFinite(end) ? end : Infinity
+  };
+}
+
+// Stations without a status are published.
+export function isStationDraft(station) {
+  return station?.status === 'draft';
+}
+
+// On the dial from publishAt (inclusive) until expireAt (exclusive). Drafts
+// are never on the public dial; they are only reachable through a preview link.
+export function isStationOnAir(station, now = Date.now()) {
+  const { start, end } = scheduleWindow(station);
+  return !isStationDraft(station) && start <= now && now < end;
+}
+
+// When the on-air set changes next on its own: the earliest publishAt or
+// expireAt after `now`, or null.
+export function nextScheduleChange(stations, now = Date.now()) {
+  let next = null;
+  for (const station of stations || []) {
+    const { start, end } = scheduleWindow(station);
+    for (const time of [start, end]) {
+      if (Number.isFinite(time) && time > now && (next === null || time < next)) {
+        next = time;
+      }
+    }
+  }
+  return next;
+}
+
+// Stations only compete for a dial tick while both are on air, so a guest mix
+// can be scheduled onto a seasonal station's frequency after it expires.
+export function schedulesOverlap(a, b) {
+  const first = scheduleWindow(a);
+  const second = scheduleWindow(b);
+  return first.start < second.end && second.start < first.end;
+}
+
+// Stations on the same dial tick can't be told apart by the dial or the
+// `#XX.XXMHz` lookup; stations one tick apart are legal but easy to mis-tune.
+export function frequencyNeighbours(stations, frequency, { ignoreId, withinTicks = 1, during } = {}) {
+  const tick = frequencyTickIndex(frequency);
+  const collisions = [];
+  const nearby = [];
+  if (tick === null) {
+    return { collisions, nearby };
+  }
+
+  for (const station of Array.isArray(stations) ? stations : []) {
+    if (!station || (ignoreId && station.id === ignoreId) || (during && !schedulesOverlap(during, station))) {
+      continue;
+    }
+    const stationTick = frequencyTickIndex(station.frequency);
+    if (stationTick === null) {
+      continue;
+    }
+    const distance = Math.abs(stationTick - tick);
+    if (distance === 0) {
+      collisions.push(station);
+    } else if (distance <= withinTicks) {
+      nearby.push(station);
+    }
+  }
+  return { collisions, nearby };
+}
+
+export function suggestFrequencies(stations, { near, count = 5, ignoreId, during } = {}) {
+  const occupied = new Set();
+  for (const station of Array.isArray(stations) ? stations : []) {
+    if (!station || (ignoreId && station.id === ignoreId) || (during && !schedulesOverlap(during, station))) {
+      continue;
+    }
+    const tick = frequencyTickIndex(station.frequency);
+    if (tick !== null) {
+      occupied.add(tick);
+    }
+  }
+
+  const nearTick = frequencyTickIndex(near);
+  const candidates = [];
+  for (let tick = 0; tick < DIAL_TICK_COUNT; tick += 1) {
+    if (occupied.has(tick)) {
+      continue;
+    }
+    let clearance = DIAL_TICK_COUNT;
+    for (const occupiedTick of occupied) {
+      clearance = Math.min(clearance, Math.abs(occupiedTick - tick));
+    }
+    candidates.push({ tick, clearance });
+  }
+
+  const roomy = candidates.filter((candidate) => candidate.clearance > 1);
+  const pool = roomy.length >= count ? roomy : candidates;
+  const ranked =
+    nearTick === null
+      ? [...pool].sort((a, b) => b.clearance - a.clearance || a.tick - b.tick)
+      : [...pool].sort((a, b) => Math.abs(a.tick - nearTick) - Math.abs(b.tick - nearTick) || a.tick - b.tick);
+
+  return ranked
+    .slice(0, Math.max(0, count))
+    .map((candidate) => tickIndexFrequency(candidate.tick))
+    .sort((a, b) => a - b);
+}
+
+export function sortStationsByFrequency(stations) {
+  return [...stations].sort((a, b) => {
+    const aFreq = Number.parseFloat(a.frequency);
+    const bFreq = Number.parseFloat(b.frequency);
+    if (Number.isFinite(aFreq) && Number.isFinite(bFreq) && aFreq !== bFreq) {
+      return aFreq - bFreq;
+    }
+    return String(a.id).localeCompare(String(b.id));
+  });
+}
+
+// Each migration lifts a manifest from `version - 1` to `version`. Manifests
+// without a schemaVersion are treated as version 1.
+const MIGRATIONS = [
+  {
+    version: 2,
+    migrateStation(station) {
+      const next = { ...station };
+
+      const frequency = parseFrequency(next.frequency);
+      if (frequency !== null) {
+        next.frequency = frequency;
+      }
+
+      if (!next.location && next.coordinates !== undefined) {
+        const location = parseLocation(next.coordinates);
+        if (location) {
+          next.location = location;
+        }
+      }
+      delete next.coordinates;
+
+      if (next.tags !== undefined) {
+        next.tags = normalizeStationTags(next.tags);
+      }
+
+      if (next.signal !== undefined) {
+        const signal = Number.parseInt(next.signal, 10);
+        next.signal = Number.isFinite(signal) ? signal : DEFAULT_SIGNAL;
+      }
+
+      if (next.rotation !== undefined) {
+        const rotation = Number.parseFloat(next.rotation);
+        if (Number.isFinite(rotation)) {
+          next.rotation = rotation;
+        } else {
+          delete next.rotation;
+        }
+      }
+
+      if (next.bpm !== undefined) {
+        const bpm = Number.parseFloat(next.bpm);
+        if (Number.isFinite(bpm)) {
+          next.bpm = bpm;
+        } else {
+          delete next.bpm;
+        }
+      }
+
+      return next;
+    }
+  }
+];
+
+export function manifestSchemaVersion(manifest) {
+  const version = Number.parseInt(manifest?.schemaVersion, 10);
+  return Number.isFinite(version) && version > 0 ? version : 1;
+}
+
+export function migrateManifest(manifest) {
+  const source = manifest && typeof manifest === 'object' ? manifest : {};
+  const fromVersion = manifestSchemaVersion(source);
+  if (fromVersion > MANIFEST_SCHEMA_VERSION) {
+    throw new Error(`Manifest schemaVersion ${fromVersion} is newer than supported version ${MANIFEST_SCHEMA_VERSION}.`);
+  }
+
+  let stations = Array.isArray(source.stations) ? source.stations : [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      stations = stations.map((station) => migration.migrateStation(station));
+    }
+  }
+
+  const { schemaVersion: _previousVersion, ...rest } = source;
+  return {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    ...rest,
+    stations
+  };
+}
+
+export function stationValidationErrors(station) {
+  const errors = [];
+  if (!station || typeof station !== 'object') {
+    return ['must be an object'];
+  }
+
+  if (typeof station.id !== 'string' || !STATION_ID_PATTERN.test(station.id)) {
+    errors.push('id must be a lowercase slug');
+  }
+  if (typeof station.title !== 'string' || !station.title.trim()) {
+    errors.push('title is required');
+  }
+  if (station.host !== undefined && typeof station.host !== 'string') {
+    errors.push('host must be a string');
+  }
+  if (typeof station.frequency !== 'number' || !Number.isFinite(station.frequency)) {
+    errors.push('frequency must be a number');
+  } else if (station.frequency < FM_MIN || station.frequency > FM_MAX) {
+    errors.push(`frequency must be between ${FM_MIN} and ${FM_MAX}`);
+  }
+  if (typeof station.track !== 'string' || !station.track.startsWith('/')) {
+    errors.push('track must be an absolute media path');
+  }
+  if (typeof station.art !== 'string' || !station.art.startsWith('/')) {
+    errors.push('art must be an absolute media path');
+  }
+  if (station.signal !== undefined && (!Number.isInteger(station.signal) || station.signal < SIGNAL_MIN || station.signal > SIGNAL_MAX)) {
+    errors.push(`signal must be an integer from ${SIGNAL_MIN} to ${SIGNAL_MAX}`);
+  }
+  if (station.tags !== undefined) {
+    const validTags = Array.isArray(station.tags) && station.tags.every((tag) => STATION_TAG_OPTIONS.includes(tag));
+    if (!validTags) {
+      errors.push(`tags must be drawn from: ${STATION_TAG_OPTIONS.join(', ')}`);
+    }
+  }
+  if (station.location !== undefined && !toLocation(station.location?.lat, station.location?.lon)) {
+    errors.push('location must have lat (-90..90) and lon (-180..180)');
+  }
+  if (station.coordinates !== undefined) {
+    errors.push('coordinates is no longer supported; use location');
+  }
+  if (station.bpm !== undefined && !(typeof station.bpm === 'number' && station.bpm > 0)) {
+    errors.push('bpm must be a positive number');
+  }
+  if (station.tracklist !== undefined) {
+    errors.push(...tracklistValidationErrors(station.tracklist));
+  }
+  if (station.key !== undefined && !CAMELOT_PATTERN.test(String(station.key))) {
+    errors.push('key must be in Camelot notation (1A-12B)');
+  }
+  for (const field of ['publishAt', 'expireAt']) {
+    if (station[field] !== undefined && !(SCHEDULE_TIME_PATTERN.test(String(station[field])) && Number.isFinite(Date.parse(station[field])))) {
+      errors.push(`${field} must be an ISO 8601 time with a zone (e.g. 2025-06-01T18:00:00Z)`);
+    }
+  }
+  if (station.publishAt !== undefined && station.expireAt !== undefined && !(Date.parse(station.expireAt) > Date.parse(station.publishAt))) {
+    errors.push('expireAt must be after publishAt');
+  }
+  if (station.status !== undefined && !STATION_STATUSES.includes(station.status)) {
+    errors.push(`status must be one of: ${STATION_STATUSES.join(', ')}`);
+  }
+  if (station.rotation !== undefined && !Number.isFinite(station.rotation)) {
+    errors.push('rotation must be a number');
+  }
+  if (
+    station.hls !== undefined &&
+    !(
+      typeof station.hls?.playlist === 'string' &&
+      station.hls.playlist.startsWith('/') &&
+      Number.isFinite(station.hls.segmentDuration) &&
+      station.hls.segmentDuration > 0 &&
+      Number.isFinite(station.hls.duration) &&
+      station.hls.duration > 0
+    )
+  ) {
+    errors.push('hls must have a playlist path, segmentDuration and duration');
+  }
+  if (station.artwork !== undefined) {
+    const validArtwork =
+      station.artwork &&
+      typeof station.artwork === 'object' &&
+      Object.values(station.artwork).every(
+        (urls) => typeof urls?.jpeg === 'string' && urls.jpeg.startsWith('/') && (urls.webp === undefined || (typeof urls.webp === 'string' && urls.webp.startsWith('/')))
+      );
+    if (!validArtwork) {
+      errors.push('artwork variants must each have a jpeg path (and optionally webp)');
+    }
+  }
+  for (const field of ['audioHash', 'artHash']) {
+    if (station[field] !== undefined && !SHA256_PATTERN.test(String(station[field]))) {
+      errors.push(`${field} must be a sha256 hex digest`);
+    }
+  }
+  if (station.loopDuration !== undefined && !(typeof station.loopDuration === 'number' && station.loopDuration > 0)) {
+    errors.push('loopDuration must be a positive number of seconds');
+  }
+  if (station.peaks !== undefined && !(typeof station.peaks === 'string' && station.peaks.startsWith('/'))) {
+    errors.push('peaks must be an absolute media path');
+  }
+  if (station.gainDb !== undefined && !(Number.isFinite(station.gainDb) && station.gainDb >= GAIN_DB_MIN && station.gainDb <= GAIN_DB_MAX)) {
+    errors.push(`gainDb must be a number from ${GAIN_DB_MIN} to ${GAIN_DB_MAX}`);
+  }
+  if (station.loudness !== undefined && !Number.isFinite(station.loudness?.integratedLufs)) {
+    errors.push('loudness must include integratedLufs');
+  }
+  if (station.renditions !== undefined) {
+    const validRenditions =
+      Array.isArray(station.renditions) &&
+      station.renditions.every(
+        (rendition) =>
+          typeof rendition?.codec === 'string' &&
+          Number.isInteger(rendition.bitrate) &&
+          rendition.bitrate > 0 &&
+          typeof rendition.mimeType === 'string' &&
+          typeof rendition.url === 'string' &&
+          rendition.url.startsWith('/')
+      );
+    if (!validRenditions) {
+      errors.push('renditions must be a list of { codec, bitrate, mimeType, url } entries');
+    }
+  }
+
+  return errors;
+}
+
+// What a listener can tune to at `now`. The player and the stations list both
+// use this, so they agree. Invalid stations (a hand-edited manifest, an older
+// tool) are quietly left off rather than listed but untunable; the API and the
+// scripts refuse to write them in the first place.
+export function playableStations(manifest, now = Date.now()) {
+  return migrateManifest(manifest).stations.filter(
+    (station) => stationValidationErrors(station).length === 0 && isStationOnAir(station, now)
+  );
+}
+
+export function manifestValidationErrors(manifest) {
+  if (!manifest || typeof manifest !== 'object') {
+    return ['manifest must be an object'];
+  }
+  if (manifest.schemaVersion !== MANIFEST_SCHEMA_VERSION) {
+    return [`schemaVersion must be ${MANIFEST_SCHEMA_VERSION}`];
+  }
+  if (!Array.isArray(manifest.stations)) {
+    return ['stations must be an array'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+  const stationsByTick = new Map();
+  manifest.stations.forEach((station, index) => {
+    const label = `stations[${index}]${station?.id ? ` (${station.id})` : ''}`;
+    for (const error of stationValidationErrors(station)) {
+      errors.push(`${label}: ${error}`);
+    }
+    if (station?.id) {
+      if (seenIds.has(station.id)) {
+        errors.push(`${label}: duplicate id`);
+      }
+      seenIds.add(station.id);
+    }
+    const tick = frequencyTickIndex(station?.frequency);
+    if (tick !== null) {
+      const sharing = stationsByTick.get(tick) || [];
+      const clash = sharing.find((other) => schedulesOverlap(other, station));
+      if (clash) {
+        errors.push(`${label}: shares a dial tick with ${clash.id}`);
+      }
+      stationsByTick.set(tick, [...sharing, station]);
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,111 @@
+import { liveApiUrl } from './liveApi';
+
+const SECONDS_PER_DAY = 86400;
+const MS_PER_DAY = SECONDS_PER_DAY * 1000;
+const CLOCK_SYNC_SAMPLES = 5;
+const CLOCK_SYNC_SAMPLE_GAP_MS = 200;
+const CLOCK_SYNC_REFRESH_MS = 5 * 60 * 1000;
+
+// Server time minus device time. Stays 0 (trust the device) until the admin
+// API has answered, and when there is no API at all.
+let clockOffsetMs = 0;
+const offsetListeners = new Set();
+
+function syncedNow() {
+  return Date.now() + clockOffsetMs;
+}
+
+export function onClockOffsetChange(listener) {
+  offsetListeners.add(listener);
+  return () => offsetListeners.delete(listener);
+}
+
+function setClockOffset(offsetMs) {
+  if (offsetMs === clockOffsetMs) {
+    return;
+  }
+  clockOffsetMs = offsetMs;
+  for (const listener of offsetListeners) {
+    listener(offsetMs);
+  }
+}
+
+// NTP-style: t0 and t3 are device times when the request left and the reply
+// arrived, receivedAt and sentAt the server's stamps in between. The offset
+// assumes the network delay is the same both ways.
+function clockSample({ t0, t3, receivedAt, sentAt }) {
+  return {
+    offset: (receivedAt - t0 + (sentAt - t3)) / 2,
+    roundTrip: t3 - t0 - (sentAt - receivedAt)
+  };
+}
+
+// The fastest exchange leaves the least room for asymmetric delay.
+function bestClockOffset(samples) {
+  const best = samples.reduce((fastest, sample) => (!fastest || sample.roundTrip < fastest.roundTrip ? sample : fastest), null);
+  return best ? Math.round(best.offset) : null;
+}
+
+async function requestClockSample() {
+  const t0 = Date.now();
+  const response = await fetch(liveApiUrl('/api/time'), { cache: 'no-store' });
+  const t3 = Date.now();
+  const data = await response.json();
+  if (!response.ok || !Number.isFinite(data?.receivedAt) || !Number.isFinite(data?.sentAt)) {
+    throw new Error(`Time request failed (${response.status})`);
+  }
+  return clockSample({ t0, t3, receivedAt: data.receivedAt, sentAt: data.sentAt });
+}
+
+// Takes a burst of samples now and every CLOCK_SYNC_REFRESH_MS after. Returns
+// a stop function.
+export function startClockSync() {
+  let stopped = false;
+  let refreshTimer = null;
+
+  async function sync() {
+    const samples = [];
+    for (let index = 0; index < CLOCK_SYNC_SAMPLES && !stopped; index += 1) {
+      if (index > 0) {
+        await new Promise((resolve) => window.setTimeout(resolve, CLOCK_SYNC_SAMPLE_GAP_MS));
+      }
+      try {
+        samples.push(await requestClockSample());
+      } catch (_error) {
+        break;
+      }
+    }
+    if (stopped) {
+      return;
+    }
+    const offset = bestClockOffset(samples);
+    if (offset !== null) {
+      setClockOffset(offset);
+    }
+    if (!stopped) {
+      refreshTimer = window.setTimeout(sync, CLOCK_SYNC_REFRESH_MS);
+    }
+  }
+
+  void sync();
+  return () => {
+    stopped = true;
+    window.clearTimeout(refreshTimer);
+  };
+}
+
+// Unix time has no leap seconds, so days divide it evenly at UTC midnight.
+function utcSecondsToday() {
+  return (syncedNow() % MS_PER_DAY) / 1000;
+}
+
+export function syncedOffset(duration) {
+  if (!duration || !Number.isFinite(duration)) {
+    return 0;
+  }
+
+  const progress = utcSecondsToday() / SECONDS_PER_DAY;
+  const loopsPerDay = SECONDS_PER_DAY / duration;
+  const completedLoops = Math.floor(loopsPerDay * progress);
+  return duration * (loopsPerDay * progress - completedLoops);
+}
@@ -0,0 +1,145 @@
+export const TRACKLIST_MAX_ENTRIES = 500;
+
+const CUE_FRAMES_PER_SECOND = 75;
+const CUE_TRACK_PATTERN = /^\s*TRACK\s+\d+\s+AUDIO\b/im;
+const TIMESTAMP_LINE_PATTERN = /^\s*(?:\d+[.)]\s+)?\[?((?:\d+:)?\d{1,2}:\d{2}(?:\.\d+)?)\]?\s*[-–—|.]?\s*(.+?)\s*$/;
+const ARTIST_SEPARATOR_PATTERN = /\s+[-–—]\s+/;
+
+function unquote(value) {
+  const source = String(value || '').trim();
+  return source.startsWith('"') && source.endsWith('"') && source.length >= 2 ? source.slice(1, -1) : source;
+}
+
+// `h:mm:ss`, `mm:ss` or `m:ss.s`.
+export function parseTimestamp(value) {
+  const parts = String(value || '').trim().split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some((part) => !/^\d+(?:\.\d+)?$/.test(part))) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 60 + Number.parseFloat(part), 0);
+}
+
+function trackEntry(start, artist, title) {
+  const entry = { start: Number(start.toFixed(2)), title: String(title || '').trim() };
+  const trimmedArtist = String(artist || '').trim();
+  if (trimmedArtist) {
+    entry.artist = trimmedArtist;
+  }
+  return entry;
+}
+
+// INDEX 01 is where each track starts, in mm:ss:ff with 75 frames a second.
+// Sheet-level TITLE/PERFORMER (before the first TRACK) describe the whole mix
+// and are ignored.
+export function parseCueSheet(text) {
+  const entries = [];
+  let current = null;
+  // A PERFORMER before the first TRACK is the sheet's; tracks without their
+  // own inherit it.
+  let sheetPerformer = '';
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const [, command = '', rest = ''] = line.trim().match(/^(\S+)\s*(.*)$/) || [];
+    switch (command.toUpperCase()) {
+      case 'TRACK':
+        current = { start: null, artist: sheetPerformer, title: '' };
+        entries.push(current);
+        break;
+      case 'TITLE':
+        if (current) {
+          current.title = unquote(rest);
+        }
+        break;
+      case 'PERFORMER':
+        if (current) {
+          current.artist = unquote(rest);
+        } else {
+          sheetPerformer = unquote(rest);
+        }
+        break;
+      case 'INDEX': {
+        const index = rest.match(/^0*1\s+(\d+):(\d{2}):(\d{2})$/);
+        if (current && index) {
+          current.start = Number(index[1]) * 60 + Number(index[2]) + Number(index[3]) / CUE_FRAMES_PER_SECOND;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return entries
+    .filter((entry) => entry.start !== null && entry.title)
+    .map((entry) => trackEntry(entry.start, entry.artist, entry.title));
+}
+
+// One track per line: `[00:00] Artist - Title`, `1:02:03 Artist – Title` or
+// `01. 12:30 Title`. Lines without a timestamp are skipped.
+export function parseTimestampedTracklist(text) {
+  const entries = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const match = line.match(TIMESTAMP_LINE_PATTERN);
+    const start = match ? parseTimestamp(match[1]) : null;
+    if (start === null) {
+      continue;
+    }
+    const [artist, ...titleParts] = match[2].split(ARTIST_SEPARATOR_PATTERN);
+    entries.push(titleParts.length > 0 ? trackEntry(start, artist, titleParts.join(' - ')) : trackEntry(start, '', artist));
+  }
+  return entries;
+}
+
+export function parseTracklist(text) {
+  const entries = CUE_TRACK_PATTERN.test(String(text || '')) ? parseCueSheet(text) : parseTimestampedTracklist(text);
+  if (entries.length === 0) {
+    throw new Error('No timed tracks found; expected a .cue sheet or lines like "12:30 Artist - Title".');
+  }
+  if (entries.length > TRACKLIST_MAX_ENTRIES) {
+    throw new Error(`Tracklists are limited to ${TRACKLIST_MAX_ENTRIES} tracks.`);
+  }
+  return entries.sort((a, b) => a.start - b.start);
+}
+
+export function tracklistValidationErrors(tracklist) {
+  if (!Array.isArray(tracklist) || tracklist.length === 0 || tracklist.length > TRACKLIST_MAX_ENTRIES) {
+    return [`tracklist must be a list of 1-${TRACKLIST_MAX_ENTRIES} tracks`];
+  }
+  const errors = [];
+  tracklist.forEach((track, index) => {
+    if (!Number.isFinite(track?.start) || track.start < 0) {
+      errors.push(`tracklist[${index}].start must be a non-negative number of seconds`);
+    } else if (index > 0 && track.start < tracklist[index - 1]?.start) {
+      errors.push('tracklist must be sorted by start');
+    }
+    if (typeof track?.title !== 'string' || !track.title.trim()) {
+      errors.push(`tracklist[${index}].title is required`);
+    }
+    if (track?.artist !== undefined && typeof track.artist !== 'string') {
+      errors.push(`tracklist[${index}].artist must be a string`);
+    }
+  });
+  return errors;
+}
+
+// The loop restarts at 0, so anything before the first cue belongs to no track.
+export function trackAtOffset(tracklist, offsetSeconds) {
+  if (!Array.isArray(tracklist) || !Number.isFinite(offsetSeconds)) {
+    return null;
+  }
+  let current = null;
+  for (const track of tracklist) {
+    if (track.start > offsetSeconds) {
+      break;
+    }
+    current = track;
+  }
+  return current;
+}
+
+export function formatTrack(track) {
+  if (!track) {
+    return '';
+  }
+  return track.artist ? `${track.artist} – ${track.title}` : track.title;
+}